@@ -28,19 +28,70 @@ const createScript          = require("vm").createScript
     , join                  = require("path").join
     , normalize             = require("path").normalize
     , dirname               = require("path").dirname
-    , basename              = require("path").basename;
+    , basename              = require("path").basename
+    , resolve               = require("path").resolve
+    , readFile              = require("fs").readFile
+    , readFileSync          = require("fs").readFileSync
+    , watch                 = require("fs").watch
+    , statSync              = require("fs").statSync
+    , realpathSync          = require("fs").realpathSync
+    , mkdirSync             = require("fs").mkdirSync
+    , accessSync            = require("fs").accessSync
+    , FS_CONSTANTS          = require("fs").constants || require("fs")
+    , sep                   = require("path").sep
+    , isIP                  = require("net").isIP
+    , parseURL              = require("url").parse
+    , EventEmitter          = require("events").EventEmitter;
 
 const slice                 = Array.prototype.slice;
 
+const hasOwnProperty        = Object.prototype.hasOwnProperty;
+
 const NIL                   = {};
 
+const REDACTED              = "[REDACTED]";
+
 const WRAPPER_TMPL          = "with (__props) {%s;\n}";
 
 const REQUIRED_RE           = /^[A-Z]*$/
-    , RESERVED_NAMES_RE     = /^(end|include|define)$/
-    , PARAM_REQUIRED_RE     = /^(struct|section|expression|custom)/
-    , BYTESIZE_RE           = /^([\d\.]+)(b|kb|mb|gb)$|^([\d\.]+)$/
-    , TIMEUNIT_RE           = /^([\d\.]+)(ms|s|m|h|d)$|^([\d\.]+)$/;
+    , RESERVED_NAMES_RE     = /^(end|include|include_once|define)$/
+    , PARAM_REQUIRED_RE     = /^(struct|section|expression|custom|enum|union)/
+    , BYTESIZE_RE           = /^\s*([\d\.]+)\s*(b|[kmgt]i?b)?\s*$/i
+    , TIMEUNIT_RE           =
+        /^\s*(?:[\d\.]+\s*(?:us|ms|[smhdw])\s*)+$|^\s*[\d\.]+\s*$/i
+    , TIMEUNIT_PART_RE      = /([\d\.]+)\s*(us|ms|[smhdw])/gi
+    , ISO_DURATION_RE       =
+        new RegExp("^P(?:([\\d\\.]+)W)?(?:([\\d\\.]+)D)?" +
+                   "(?:T(?=\\d)(?:([\\d\\.]+)H)?" +
+                   "(?:([\\d\\.]+)M)?(?:([\\d\\.]+)S)?)?$", "i")
+    , MERGE_RE              = /^(append|replace)$/
+    , DUPLICATES_RE         = /^(error|merge)$/
+    , PATH_KIND_RE          = /^(file|dir)$/
+    , RANGE_TYPES_RE        = /^(number|integer|float|port|bytesize|timeunit)$/
+    , HOSTNAME_LABEL_RE     = /^[a-z\d]([a-z\d\-]{0,61}[a-z\d])?$/i
+    , ADDRESS_RE            = /^(?:\[([^\]]+)\]|([^:\[\]]+)):(\d+)$/;
+
+const BYTE_UNITS            =
+      { b: 1
+      , kb: 1000
+      , mb: 1000 * 1000
+      , gb: 1000 * 1000 * 1000
+      , tb: 1000 * 1000 * 1000 * 1000
+      , kib: 1024
+      , mib: 1024 * 1024
+      , gib: 1024 * 1024 * 1024
+      , tib: 1024 * 1024 * 1024 * 1024 };
+
+const TIME_UNITS            =
+      { us: 0.001
+      , ms: 1
+      , s: 1000
+      , m: 60 * 1000
+      , h: 60 * 60 * 1000
+      , d: 24 * 60 * 60 * 1000
+      , w: 7 * 24 * 60 * 60 * 1000 };
+
+const JSON_SCHEMA_DRAFT     = "https://json-schema.org/draft/2020-12/schema";
 
 const ESCAPE_CHARS          = "\\^$*+?.()|{}[]";
 
@@ -57,6 +108,18 @@ const PROPERTY_TYPES        =
       [ "boolean"
       , "string"
       , "number"
+      , "integer"
+      , "float"
+      , "enum"
+      , "port"
+      , "ipv4"
+      , "ipv6"
+      , "ip"
+      , "cidr"
+      , "hostname"
+      , "url"
+      , "address"
+      , "union"
       , "array"
       , "object"
       , "regexp"
@@ -72,14 +135,25 @@ const PROPERTY_TYPES        =
       ];
 
 
-exports.createContext = function(markup) {
+exports.createContext = function(markup, options) {
   var context = new ConfigContext();
+  var opts = options || {};
 
   if (!markup) {
     throw new Error("Expected 'markup'.");
   }
 
+  if (opts.envPrefix) {
+    context.envPrefix = String(opts.envPrefix).replace(/_+$/, "");
+  }
+
+  context.requires = opts.requires || null;
+  context.conflicts = opts.conflicts || null;
+  context.oneOf = opts.oneOf || null;
+  context.validator = opts.validate || null;
+
   updateSection(context, markup);
+  updateConstraints(context);
 
   return context;
 };
@@ -92,6 +166,295 @@ exports.createScript = function(code, filename) {
 };
 
 
+// Load a config script from file. The script's `workdir` is set
+// to the directory of the file.
+exports.loadFile = function(path, options) {
+  var code;
+
+  path = resolve(path);
+
+  try {
+    code = readFileSync(path, "utf8");
+  } catch (ioException) {
+    throw new RuntimeError(null, "Unable to read file '" + path + "'", path);
+  }
+
+  return createFileScript(path, code, options);
+};
+
+
+// Asynchronous version of `loadFile`. Returns a Promise.
+exports.loadFileAsync = function(path, options) {
+  path = resolve(path);
+
+  return new Promise(function(fulfill, reject) {
+    readFile(path, "utf8", function(ioException, code) {
+
+      if (ioException) {
+        return reject(new RuntimeError(null, "Unable to read file '" +
+                                             path + "'", path));
+      }
+
+      try {
+        fulfill(createFileScript(path, code, options));
+      } catch (scriptError) {
+        reject(scriptError);
+      }
+    });
+  });
+};
+
+
+// Load a config script from file and run it in specified context
+exports.load = function(path, context, options) {
+  return exports.loadFile(path, options).runInContext(context, null, options);
+};
+
+
+// Asynchronous version of `load`. Returns a Promise.
+exports.loadAsync = function(path, context, options) {
+  return exports.loadFileAsync(path, options).then(function(script) {
+    return script.runInContext(context, null, options);
+  });
+};
+
+
+// Run several scripts, layers, in the same context and merge the
+// results. Later layers override values of earlier layers.
+exports.runLayers = function(scripts, context, env, options) {
+  var opts = options || {};
+  var result = {};
+  var runtime;
+
+  if (!Array.isArray(scripts) || !scripts.length) {
+    throw new Error("Expected an Array of scripts");
+  }
+
+  if (!context || !(context instanceof ConfigContext)) {
+    throw new Error("Expected a ConfigContext as context");
+  }
+
+  runtime = createRuntime(scripts[scripts.length - 1], context, opts);
+
+  scripts.forEach(function(script) {
+    var layer = executeScript(script, context, env, opts, true);
+    mergeScope(context, result, layer.result, null, null, layer, runtime);
+    runtime.includes = runtime.includes.concat(layer.includes);
+    runtime.warnings = runtime.warnings.concat(layer.warnings);
+    if (runtime.errors) {
+      runtime.errors = runtime.errors.concat(layer.errors);
+    }
+  });
+
+  completeTree.call(runtime, context, result, null);
+
+  return finishRuntime(runtime, result).result;
+};
+
+
+// Load a config script from file, run it in specified context and
+// reload it when the file, or any included file, changes.
+exports.watch = function(path, context, options) {
+  return new Watcher(path, context, options);
+};
+
+exports.Watcher = Watcher;
+
+
+// Generate a reference manual for specified context. Supported formats
+// are "markdown" (default), "html" and "man".
+exports.generateDocs = function(context, options) {
+  var opts = options || {};
+  var format = opts.format || "markdown";
+  var title = opts.title || "Configuration reference";
+  var entries;
+  var example;
+
+  if (!context || !(context instanceof ConfigContext)) {
+    throw new Error("Expected a ConfigContext as context");
+  }
+
+  entries = docEntries(context, null);
+  example = exampleConfig(context, "", []).join("\n");
+
+  switch (format) {
+    case "markdown": return markdownDocs(title, entries, example);
+    case "html": return htmlDocs(title, entries, example);
+    case "man": return manDocs(title, entries, example);
+  }
+
+  throw new Error("Unknown docs format: " + format);
+};
+
+
+// Serialize a result into the conf DSL. Values that equals the
+// defaults are left out, unless option `defaults` is set.
+exports.stringify = function(context, result, options) {
+  var opts = options || {};
+  var state;
+  var lines = [];
+
+  if (!context || !(context instanceof ConfigContext)) {
+    throw new Error("Expected a ConfigContext as context");
+  }
+
+  state = { indent: typeof opts.indent == "number"
+                    ? new Array(opts.indent + 1).join(" ")
+                    : opts.indent || "    ",
+            defaults: opts.defaults || false,
+            revealSecrets: opts.revealSecrets || false,
+            runtime: { workdir: opts.workdir || process.cwd(),
+                       strict: false } };
+
+  stringifyScope(context, result || {}, "", lines, state);
+
+  return lines.length ? lines.join("\n") + "\n" : "";
+};
+
+
+// Parse command-line arguments, e.g. `--server.port=8081 --debug`, into
+// field overrides. Pass the result as option `args` to `runInContext`.
+exports.parseArgs = function(context, argv) {
+  var fields;
+  var parsed = { overrides: [], args: [], help: false };
+  var overrides = {};
+  var arg;
+  var name;
+  var value;
+  var entry;
+  var idx;
+
+  if (!context || !(context instanceof ConfigContext)) {
+    throw new Error("Expected a ConfigContext as context");
+  }
+
+  fields = argFields(context, null, []);
+  argv = slice.call(argv || []);
+
+  while (argv.length) {
+    arg = argv.shift();
+
+    if (arg == "--") {
+      parsed.args = parsed.args.concat(argv);
+      break;
+    }
+
+    if (arg == "-h" || arg == "--help") {
+      parsed.help = true;
+      continue;
+    }
+
+    if (arg.substr(0, 2) != "--") {
+      parsed.args.push(arg);
+      continue;
+    }
+
+    name = arg.substr(2);
+    value = null;
+
+    if ((idx = name.indexOf("=")) != -1) {
+      value = name.substr(idx + 1);
+      name = name.substr(0, idx);
+    }
+
+    if (!(name in fields) && name.substr(0, 3) == "no-" &&
+        value == null && (name.substr(3) in fields) &&
+        fields[name.substr(3)].field.type == "boolean") {
+      name = name.substr(3);
+      value = "false";
+    }
+
+    if (!(name in fields)) {
+      throw new RuntimeError(null, "Unknown option '--" + name + "'" +
+                                   suggestion("--", name, Object.keys(fields)),
+                                   "argv");
+    }
+
+    entry = fields[name];
+
+    if (value == null) {
+      if (entry.field.type == "boolean" &&
+          (!argv.length ||
+           !/^(true|false|yes|no|on|off|1|0)$/i.test(argv[0]))) {
+        value = "true";
+      } else if (!argv.length) {
+        throw new RuntimeError(null, "Option '--" + name + "' expects a value",
+                                     "argv");
+      } else {
+        value = argv.shift();
+      }
+    }
+
+    if (entry.field.list) {
+      if (!(name in overrides)) {
+        overrides[name] = { path: name,
+                            prefix: entry.prefix,
+                            fields: entry.chain,
+                            value: [] };
+        parsed.overrides.push(overrides[name]);
+      }
+      overrides[name].value.push(value);
+    } else {
+      if (!(name in overrides)) {
+        overrides[name] = { path: name,
+                            prefix: entry.prefix,
+                            fields: entry.chain,
+                            value: null };
+        parsed.overrides.push(overrides[name]);
+      }
+      overrides[name].value = value;
+    }
+  }
+
+  return parsed;
+};
+
+
+// Generate help text, for command-line arguments, from context markup
+exports.argsHelp = function(context) {
+  var fields;
+  var lines = [];
+  var width = 0;
+
+  if (!context || !(context instanceof ConfigContext)) {
+    throw new Error("Expected a ConfigContext as context");
+  }
+
+  fields = argFields(context, null, []);
+
+  Object.keys(fields).forEach(function(name) {
+    var field = fields[name].field;
+    var usage = "--" + name;
+    var notes = [];
+
+    if (field.type != "boolean") {
+      usage += " <" + field.type + ">";
+    }
+
+    field.description && notes.push(field.description);
+    field.list && notes.push("(repeatable)");
+    field.required && notes.push("(required)");
+
+    if (fields[name].defvalue !== NIL) {
+      notes.push("(default: " + formatValue(fields[name].defvalue) + ")");
+    }
+
+    lines.push([usage, notes.join(" ")]);
+  });
+
+  lines.push(["-h, --help", "Show this help"]);
+
+  lines.forEach(function(line) {
+    width = Math.max(width, line[0].length);
+  });
+
+  return "Options:\n" + lines.map(function(line) {
+    return ("  " + line[0] + new Array(width - line[0].length + 3).join(" ") +
+            line[1]).replace(/\s+$/, "");
+  }).join("\n") + "\n";
+};
+
+
 exports.validateValue = function(type, value, strict) {
   var fakefield;
   var param;
@@ -122,10 +485,26 @@ function Script(code, filename) {
   this.paths = [];
   this.isolated = false;
   this.globals = null;
+  this.env = null;
+  this.timeout = null;
+  this.maxIncludeDepth = null;
+  this.maxIncludeFiles = null;
+  this.maxSourceBytes = null;
 }
 
-Script.prototype.runInContext = function(context, env) {
-  var globals = this.globals || {};
+Script.prototype.runInContext = function(context, env, options) {
+  return executeScript(this, context, env, options).result;
+};
+
+
+// Run script in context and return the used runtime. The result is
+// stored in the runtime's `result` property.
+//
+// Partial runs skips defaults, requirements, statics, environment
+// variables and command-line overrides. Used by `runLayers`.
+function executeScript(script, context, env, options, partial) {
+  var opts = options || {};
+  var path;
   var sandbox;
   var runtime;
   var result;
@@ -134,25 +513,122 @@ Script.prototype.runInContext = function(context, env) {
     throw new Error("Expected a ConfigContext as context");
   }
 
-  runtime = new Runtime(this,
-                        context,
-                        this.workdir,
-                        this.paths,
-                        this.strict,
-                        this.isolated,
-                        globals);
+  runtime = createRuntime(script, context, opts);
+  runtime.partial = partial || false;
 
+  sandbox = createSandbox(runtime, env || script.env || {});
 
-  sandbox = createSandbox(runtime, env || {});
+  // Scripts without a filename is not part of the include graph
+  if (typeof script.filename == "string") {
+    path = join(script.workdir, script.filename);
+    runtime.includes.push({ path: path, parent: null });
+    runtime.includeStack.push(path);
+  }
 
   runtime.push(context);
 
-  runScript(runtime, sandbox, this.code, this.filename);
+  addSourceBytes(runtime, Buffer.byteLength(script.code || ""),
+                 path || script.filename);
+
+  runScript(runtime, sandbox, script.code, script.filename);
 
   while ((result = runtime.pop()) && runtime.currentScope);
 
-  return result;
-};
+  return finishRuntime(runtime, result);
+}
+
+
+// Create a new runtime for script, with run options
+function createRuntime(script, context, opts) {
+  var runtime;
+
+  runtime = new Runtime(script,
+                        context,
+                        script.workdir,
+                        script.paths,
+                        script.strict,
+                        script.isolated,
+                        script.globals || {});
+
+  runtime.limits = { timeout: script.timeout || null,
+                     maxIncludeDepth: script.maxIncludeDepth,
+                     maxIncludeFiles: script.maxIncludeFiles,
+                     maxSourceBytes: script.maxSourceBytes || null,
+                     deadline: script.timeout
+                               ? Date.now() + script.timeout
+                               : null,
+                     file: null,
+                     timeoutError: null };
+
+  runtime.errors = opts.collectErrors ? [] : null;
+  runtime.provenance = opts.provenance ? {} : null;
+  runtime.environment = opts.environment || null;
+  runtime.envPrecedence = opts.envPrecedence || "env";
+  runtime.args = opts.args ? argsMap(opts.args) : null;
+  runtime.onWarning = opts.onWarning || null;
+
+  if (runtime.envPrecedence != "env" && runtime.envPrecedence != "script") {
+    throw new Error("Expected \"env\" or \"script\" as `envPrecedence`");
+  }
+
+  return runtime;
+}
+
+
+// Throw collected errors and expose run information on result. Errors of
+// partial runs are thrown by the run that merges them.
+function finishRuntime(runtime, result) {
+
+  if (runtime.errors && runtime.errors.length && !runtime.partial) {
+    throw RuntimeError.aggregate(runtime, runtime.errors);
+  }
+
+  runtime.result = result;
+
+  if (result && !("includes" in result)) {
+    Object.defineProperty(result, "includes", { value: runtime.includes });
+  }
+
+  if (result && !("overrides" in result)) {
+    Object.defineProperty(result, "overrides", { value: runtime.overrides });
+  }
+
+  if (result && !("warnings" in result)) {
+    Object.defineProperty(result, "warnings", { value: runtime.warnings });
+  }
+
+  if (result && runtime.provenance && !("provenance" in result)) {
+    Object.defineProperty(result, "provenance", { value: runtime.provenance });
+  }
+
+  return runtime;
+}
+
+
+// Create a new script from a file path and an optional options object
+function createFileScript(path, code, options) {
+  var script = new Script(code, basename(path));
+  var opts = options || {};
+
+  script.workdir = dirname(path);
+
+  if (opts.paths) {
+    script.paths = Array.isArray(opts.paths) ? opts.paths : [opts.paths];
+  }
+
+  script.strict = opts.strict || false;
+  script.isolated = opts.isolated || false;
+  script.globals = opts.globals || null;
+  script.env = opts.env || null;
+  script.timeout = opts.timeout || null;
+  script.maxIncludeDepth = "maxIncludeDepth" in opts ? opts.maxIncludeDepth
+                                                     : null;
+  script.maxIncludeFiles = "maxIncludeFiles" in opts ? opts.maxIncludeFiles
+                                                     : null;
+  script.maxSourceBytes = opts.maxSourceBytes || null;
+
+  return script;
+}
 
 
 // define command implementation
@@ -171,6 +647,8 @@ function defineImpl(name, markup) {
 
   context = runtime.context;
 
+  runtime.flush();
+
   if (typeof context[name] !== "undefined") {
     throw new RuntimeError(runtime, "already defined");
   }
@@ -215,18 +693,57 @@ function defineProperties(runtime, properties, target) {
 
 // Include command implementation
 function includeImpl(filename) {
-  var self = this;
-  var env = typeof arguments[1] === "object" && arguments[1] || {};
-  var isolated = env && arguments[2] || arguments[1];
+  includeFiles(this, slice.call(arguments), false);
+}
+
+
+// Include once command implementation. Files that already are
+// included are skipped.
+function includeOnceImpl(filename) {
+  includeFiles(this, slice.call(arguments), true);
+}
+
+
+// File command implementation. Returns the content of file, without
+// trailing newline.
+function fileImpl(filename) {
+  var path;
+
+  if (typeof filename !== "string") {
+    throw new RuntimeError(this, "Expected a path");
+  }
+
+  if (this.isolated && (filename[0] == "/" || /\.\.\//.test(filename))) {
+    throw new RuntimeError(this, "Unable to read file '" + filename +
+                                 "', access denied");
+  }
+
+  path = resolvePath(filename, this.workdir, this.paths);
+
+  try {
+    return readFileSync(path, "utf8").replace(/\r?\n$/, "");
+  } catch (readError) {
+    throw new RuntimeError(this, "Unable to read file '" + path + "'");
+  }
+}
+
+
+function includeFiles(self, args, once) {
+  var filename = args[0];
+  var env = typeof args[1] === "object" && args[1] || {};
+  var isolated = typeof args[1] === "object" ? args[2] : args[1];
+  var limits = self.limits;
   var resolvedPath;
   var script;
   var sandbox;
   var runtime;
 
-  resolvedPath = this.resolvePath(filename, true);
+  self.flush();
+
+  resolvedPath = self.resolvePath(filename, true);
 
   if (resolvedPath == null) {
-    throw new RuntimeError(this, "Include not found '" + filename + "'");
+    throw new RuntimeError(self, "Include not found '" + filename + "'");
   }
 
   if (!Array.isArray(resolvedPath)) {
@@ -234,15 +751,47 @@ function includeImpl(filename) {
   }
 
   resolvedPath.forEach(function(p) {
-    var msg;
+    var parent = self.includeStack[self.includeStack.length - 1] || null;
     var code;
+    var stat;
+
+    if (once && self.isIncluded(p)) {
+      return;
+    }
+
+    if (self.includeStack.indexOf(p) != -1) {
+      throw new RuntimeError(self, "Circular include: " +
+                                   self.includeStack.concat(p).join(" -> "));
+    }
+
+    if (limits && limits.maxIncludeDepth != null &&
+        self.depth + 1 > limits.maxIncludeDepth) {
+      throw limitError(self, "maxIncludeDepth", limits.maxIncludeDepth, p);
+    }
+
+    if (limits && limits.maxIncludeFiles != null &&
+        self.includeCount + 1 > limits.maxIncludeFiles) {
+      throw limitError(self, "maxIncludeFiles", limits.maxIncludeFiles, p);
+    }
+
+    // Check the size before reading, huge files are never read
+    if (limits && limits.maxSourceBytes && (stat = getStat(p)) &&
+        self.sourceBytes + stat.size > limits.maxSourceBytes) {
+      throw limitError(self, "maxSourceBytes",
+                       limits.maxSourceBytes + " bytes", p);
+    }
 
     try {
       code = require("fs").readFileSync(p, "utf8");
     } catch (ioException) {
-      throw new RuntimeError(self, msg);
+      throw new RuntimeError(self, "Unable to read include '" + p + "'");
     }
 
+    self.includeCount++;
+    addSourceBytes(self, Buffer.byteLength(code), p);
+
+    self.includes.push({ path: p, parent: parent });
+
     script = new Script(code, basename(p));
     script.workdir = dirname(p);
 
@@ -255,10 +804,17 @@ function includeImpl(filename) {
                           self.globals);
 
     runtime.copy(self);
+    runtime.depth = self.depth + 1;
 
     sandbox = createSandbox(runtime, env || {});
 
-    runScript(runtime, sandbox, script.code, script.filename);
+    self.includeStack.push(p);
+
+    try {
+      runScript(runtime, sandbox, script.code, script.filename);
+    } finally {
+      self.includeStack.pop();
+    }
 
     self.copy(runtime);
   });
@@ -283,10 +839,44 @@ function Runtime(script, context, workdir, paths, strict, isolated, globals) {
 
   this.indexStack = [];
   this.currentIndex = null;
+
+  this.pending = null;
+
+  this.limits = null;
+  this.depth = 0;
+  this.includeCount = 0;
+  this.sourceBytes = 0;
+
+  this.includes = [];
+  this.includeStack = [];
+  this.wildcards = [];
+  this.warnings = [];
+  this.onWarning = null;
+
+  this.errors = null;
+  this.provenance = null;
+
+  this.environment = null;
+  this.envPrecedence = "env";
+  this.overrides = [];
+  this.args = null;
+
+  this.partial = false;
+  this.pointers = false;
 }
 
 Runtime.prototype.define = defineImpl;
 
+// Returns true if file with specified path already is included
+Runtime.prototype.isIncluded = function(path) {
+  for (var i = 0; i < this.includes.length; i++) {
+    if (this.includes[i].path == path) {
+      return true;
+    }
+  }
+  return false;
+};
+
 // Copy a runtime variables from specified runtime
 Runtime.prototype.copy = function(runtime) {
   this.resultStack = runtime.resultStack;
@@ -295,6 +885,21 @@ Runtime.prototype.copy = function(runtime) {
   this.currentScope = runtime.currentScope;
   this.indexStack = runtime.indexStack;
   this.currentIndex = runtime.currentIndex;
+  this.includes = runtime.includes;
+  this.includeStack = runtime.includeStack;
+  this.errors = runtime.errors;
+  this.provenance = runtime.provenance;
+  this.environment = runtime.environment;
+  this.envPrecedence = runtime.envPrecedence;
+  this.overrides = runtime.overrides;
+  this.args = runtime.args;
+  this.partial = runtime.partial;
+  this.wildcards = runtime.wildcards;
+  this.warnings = runtime.warnings;
+  this.onWarning = runtime.onWarning;
+  this.limits = runtime.limits;
+  this.includeCount = runtime.includeCount;
+  this.sourceBytes = runtime.sourceBytes;
 }
 
 // Push scope to stack
@@ -308,18 +913,146 @@ Runtime.prototype.push = function(scope) {
   return this.currentResult;
 }
 
+// Apply the bare struct, e.g. `listen`, that is pending, if any. Bare
+// structs are pending until it is known whether they are called with
+// values, e.g. `listen("0.0.0.0", 80)`, or not.
+Runtime.prototype.flush = function() {
+  var field = this.pending && this.pending.field;
+
+  if (field) {
+    this.pending = null;
+    applyStruct.call(this, field, []);
+  }
+};
+
 // Pop scope from stack
 Runtime.prototype.pop = function() {
   var result = this.currentResult;
   var scope = this.currentScope;
   var index = this.currentIndex;
+  var path = this.scopePath();
   this.currentResult = this.resultStack.pop();
   this.currentScope = this.scopeStack.pop();
   this.currentIndex = this.indexStack.pop();
-  endScope.call(this, scope, result, index);
+  endScope.call(this, scope, result, index, path);
   return result;
 }
 
+// Get the field path of current scope, e.g. "server.location[1]". Map
+// entries are suffixed with their key, once set, e.g. "location["/a"]".
+Runtime.prototype.scopePath = function() {
+  var scopes = this.scopeStack.concat([this.currentScope]);
+  var results = this.resultStack.concat([this.currentResult]);
+  var path = null;
+  var scope;
+
+  for (var i = 1; i < scopes.length; i++) {
+    scope = scopes[i];
+    if (scope && scope.parent) {
+      path = fieldPath(path, scope, lookupNamespace(results[i - 1], scope.ns),
+                       scope.map ? mapKey(scope, results[i]) : undefined);
+    }
+  }
+
+  return path;
+};
+
+// Record where the value of field `path` came from. Sources are "script",
+// "default", "static" and "env". Script sources are traced to the current
+// line in the script, env sources has the variable `name` set.
+Runtime.prototype.trace = function(path, source, name) {
+  var entry = { source: source };
+  var script = this.script;
+  var site;
+
+  if (!this.provenance) {
+    return;
+  }
+
+  if (source == "script" && script) {
+    site = scriptCallSite(script,
+                          captureCallSites(Runtime.prototype.trace),
+                          true);
+    entry.file = typeof script.filename == "string"
+                 ? join(script.workdir, script.filename)
+                 : null;
+    entry.line = site ? site.line : null;
+    entry.column = site ? site.column : null;
+  }
+
+  if (name) {
+    entry.name = name;
+  }
+
+  this.provenance[path] = entry;
+};
+
+// Remove provenance of field `path`, and all its sub-fields. Used when
+// a value is replaced.
+Runtime.prototype.untrace = function(path) {
+  if (!this.provenance) {
+    return;
+  }
+
+  for (var key in this.provenance) {
+    if (key == path || key.indexOf(path + "[") == 0 ||
+        key.indexOf(path + ".") == 0) {
+      delete this.provenance[key];
+    }
+  }
+};
+
+// Report a validation error. The error is thrown, unless the script
+// is running with `collectErrors`.
+Runtime.prototype.report = function(error, path) {
+
+  if (!(error instanceof RuntimeError)) {
+    error = new RuntimeError(this, error && error.message || String(error));
+  }
+
+  if (!error.path) {
+    error.path = path || null;
+  }
+
+  // Plain objects has no script lines. Use JSON pointers instead.
+  if (this.pointers && !error.pointer) {
+    error.pointer = jsonPointer(error.path);
+    error.path = error.pointer;
+    error.label = error.pointer;
+  }
+
+  if (!this.errors) {
+    throw error;
+  }
+
+  this.errors.push(error);
+};
+
+// Add a warning, with the location in script and path of field. The
+// `onWarning` callback is called with the warning, if set.
+Runtime.prototype.warn = function(message, path) {
+  var script = this.script;
+  var warning = { message: message, label: null, path: path || null };
+  var stack;
+
+  if (this.pointers) {
+    warning.path = jsonPointer(warning.path);
+    warning.label = warning.path;
+  } else if (script) {
+    stack = captureCallSites(Runtime.prototype.warn);
+    warning.label = scriptLabel(script, stack) ||
+                    (typeof script.filename == "string"
+                     ? script.filename
+                     : null);
+  }
+
+  this.warnings.push(warning);
+
+  if (typeof this.onWarning == "function") {
+    this.onWarning(warning);
+  }
+};
+
 Runtime.prototype.resolvePath = function(path, enableWildcard) {
   var workdir = this.workdir;
   var paths = this.paths;
@@ -381,13 +1114,15 @@ Runtime.prototype.resolvePath = function(path, enableWildcard) {
       return null;
     }
 
-    try {
+    pattern = wildcardPattern(basename(path));
+
+    this.wildcards.push({ dirpath: dirpath, pattern: pattern });
+
+    try {
       files = require("fs").readdirSync(dirpath);
     } catch (listException) {
       return null;
     }
-
-    pattern = wildcardPattern(basename(path));
     result = [];
 
     files.forEach(function(file) {
@@ -404,445 +1139,2913 @@ Runtime.prototype.resolvePath = function(path, enableWildcard) {
 }
 
 
-function ConfigContext() {
-  this.name = "[ROOT]";
-  this.root = this;
-  this.parent = null;
-  this.fields = {};
-  this.defaults = {};
-  this.requirements = {};
-  this.statics = {};
-  this.field = null;
-  this.index = null;
+// Watcher
+function Watcher(path, context, options) {
+  EventEmitter.call(this);
 
-  this.props = {};
+  this.path = resolve(path);
+  this.context = context;
+  this.options = options || {};
+  this.delay = "delay" in this.options ? this.options.delay : 100;
+  this.result = null;
+  this.lastError = null;
+  this.files = [];
+  this.wildcards = [];
+
+  this._watchers = [];
+  this._timer = null;
+  this._closed = false;
+
+  this.reload();
 }
 
+require("util").inherits(Watcher, EventEmitter);
 
-function RuntimeError(runtime, message, label) {
-  var self = this;
+// Load the config script and re-watch all files that it did include.
+// Throws on errors. The last good result is kept if reload fails.
+Watcher.prototype.reload = function() {
   var script;
-  var stack;
-  var obj;
-  var tmp;
+  var runtime;
 
-  this.runtime = runtime;
-  this.message = message;
+  script = exports.loadFile(this.path, this.options);
+  runtime = executeScript(script, this.context, null, this.options);
 
-  // Ugly little hack to get the stack as an Array instead
-  // of just a formatted string.
-  Error.captureStackTrace(this, RuntimeError);
-  Error.prepareStackTrace = function(error, stack) {
-    self._stack = stack;
-  };
+  this.result = runtime.result;
+  this.files = runtime.includes.map(function(include) {
+    return include.path;
+  });
+  this.wildcards = runtime.wildcards;
 
-  // This will trigger prepareStackTrace, where we
-  // can get the stack as a graph.
-  tmp = this.stack;
-  this.stack = null;
+  this.unwatch();
+  this.watchFiles(this.files, this.wildcards);
 
-  Error.prepareStackTrace = null;
+  return this.result;
+};
 
-  // Capture once more, this will cause `toString` to
-  // generate the stack-dump as string.
-  Error.captureStackTrace(this, RuntimeError);
+// Watch specified files and wildcard directories for changes
+Watcher.prototype.watchFiles = function(files, wildcards) {
+  var self = this;
+  var persistent = this.options.persistent !== false;
 
-  if (typeof label == "string") {
-    this.label = label;
-  } else {
+  function onchange() {
+    self.schedule();
+  }
 
-    if (!runtime || !runtime.script) {
-      this.label = "unknown";
-      return;
-    }
+  files.forEach(function(file) {
+    self._watch(file, persistent, onchange);
+  });
 
-    script = this.runtime.script;
-    stack = this._stack;
+  wildcards.forEach(function(wildcard) {
+    self._watch(wildcard.dirpath, persistent, function(event, filename) {
+      if (!filename || wildcard.pattern.test(filename)) {
+        self.schedule();
+      }
+    });
+  });
+};
 
-    for (var i = 0; i < stack.length; i++) {
-      obj = stack[i];
+Watcher.prototype._watch = function(path, persistent, callback) {
+  var watcher;
 
-      if (obj.getTypeName() == "[object global]" &&
-          obj.getEvalOrigin() == script.filename) {
-        // Matched current script.
-        this.label = [script.filename,
-                      obj.getLineNumber(),
-                      obj.getColumnNumber()].join(":");
-      }
-    }
+  try {
+    watcher = watch(path, { persistent: persistent }, callback);
+  } catch (watchError) {
+    return;
   }
 
-}
-
-exports.RuntimeError = RuntimeError;
-require("util").inherits(RuntimeError, Error);
+  watcher.on("error", function() {});
 
-RuntimeError.prototype.getSimpleMessage = function() {
-  return this.message + " (" + this.label + ")";
+  this._watchers.push(watcher);
 };
 
-// Kind of "hacky", but it works.
-RuntimeError.fromNativeError = function(runtime, error) {
-  var stack;
-  var re;
-  var m;
-
-  if (typeof error == "object" && error.stack && runtime.script) {
-    re = new RegExp("at\\s(" + runtime.script.filename + "\\:\\d+\\:\\d+)");
-    stack = error.stack.split("\n");
-    for (var i = 0, l = stack.length; i < l; i++) {
-      if ((m = re.exec(stack[i]))) {
-        return new RuntimeError(runtime, error.message || error.toString(),
-                                         m[1]);
-      }
-    }
-    return new RuntimeError(runtime, error.message || error.toString());
-  } else {
-    return new RuntimeError(runtime, error);
-  }
+// Stop watching all files
+Watcher.prototype.unwatch = function() {
+  this._watchers.forEach(function(watcher) {
+    watcher.close();
+  });
+  this._watchers = [];
 };
 
+// Schedule a reload. Multiple changes within `delay` ms results in one
+// reload only.
+Watcher.prototype.schedule = function() {
+  var self = this;
 
-// Run a script in sandbox
-function runScript(runtime, sandbox, code, filename) {
-  var wrapper = WRAPPER_TMPL.replace(/%s/g, code);
-  var script = createScript(wrapper, filename);
-  try {
-    script.runInNewContext(sandbox);
-  } catch (scriptError) {
-    if (scriptError instanceof RuntimeError) {
-      throw scriptError;
-    } else if (typeof scriptError == "object" &&
-               typeof scriptError.stack == "string") {
-      throw RuntimeError.fromNativeError(runtime, scriptError);
-    } else {
-      throw new RuntimeError(runtime, scriptError &&
-                                      scriptError.message ||
-                                      "unknown runtime error");
-    }
+  if (this._closed) {
+    return;
   }
-}
 
+  clearTimeout(this._timer);
 
-// Create a new sandbox from runtime
-// and optional enviroment variables
-function createSandbox(runtime, env) {
-  var sandbox = { __props : {} };
-  var context = runtime.context;
-  var globals = runtime.globals;
-  var propfn;
+  this._timer = setTimeout(function() {
+    var result;
 
-  defineProperties(runtime, context.props, sandbox.__props);
+    self._timer = null;
 
-  Object.defineProperty(sandbox.__props, "end", {
-    get: (function() {
-      var field = this.currentScope;
-      var result = this.currentResult;
+    if (self._closed) {
+      return;
+    }
 
-      if (typeof field.onexit == "function") {
-        field.onexit(this, result);
+    try {
+      result = self.reload();
+      self.lastError = null;
+    } catch (reloadError) {
+      // Files may have been replaced, rather than modified. Make sure
+      // that we still are watching them.
+      self.unwatch();
+      self.watchFiles(self.files, self.wildcards);
+      if (!(reloadError instanceof RuntimeError)) {
+        reloadError = new RuntimeError(null, reloadError.message ||
+                                             String(reloadError));
       }
+      self.lastError = reloadError;
+      // Unhandled "error" events would throw, and the last good result
+      // must survive a bad reload
+      if (self.listeners("error").length) {
+        self.emit("error", reloadError);
+      } else {
+        process.emitWarning("Failed to reload '" + self.path + "': " +
+                            reloadError.getSimpleMessage());
+      }
+      return;
+    }
 
-      this.pop();
-
-    }).bind(runtime)
-  });
+    self.emit("change", result);
+  }, this.delay);
+};
 
-  sandbox.include = includeImpl.bind(runtime);
-  sandbox.define = defineImpl.bind([runtime, sandbox]);
+// Stop watching and cancel any pending reload
+Watcher.prototype.close = function() {
+  this._closed = true;
+  clearTimeout(this._timer);
+  this.unwatch();
+};
 
-  for (var name in env) {
-    if (RESERVED_NAMES_RE.test(name)) {
-      throw new Error("Environment property '" +  name + "' is reserved.");
-    }
-    sandbox[name] = env[name];
-  }
 
-  for (var key in globals) {
-    if (RESERVED_NAMES_RE.test(key)) {
-      throw new Error("Global property '" +  key + "' is reserved.");
-    }
-    sandbox[key] = globals[key];
-  }
+function ConfigContext() {
+  this.name = "[ROOT]";
+  this.root = this;
+  this.parent = null;
+  this.fields = {};
+  this.defaults = {};
+  this.requirements = {};
+  this.statics = {};
+  this.aliasNames = {};
+  this.field = null;
+  this.index = null;
+  this.envPrefix = null;
+  this.requires = null;
+  this.conflicts = null;
+  this.oneOf = null;
+  this.validator = null;
 
-  return sandbox;
+  this.props = {};
 }
 
+// Export context as a JSON Schema (draft 2020-12)
+ConfigContext.prototype.toJSONSchema = function() {
+  var schema = sectionSchema(this);
+  schema.$schema = JSON_SCHEMA_DRAFT;
+  return schema;
+};
 
-function getNamespace(target, expr) {
-  var splitted = expr.split(".");
-  var name = splitted.shift();
-  var obj;
 
-  if (name in target) {
-    obj = target[name];
-  } else {
-    obj = target[name] = {};
+// Validate a plain object against context, without running a script.
+// Returns the normalized result.
+ConfigContext.prototype.validate = function(obj, options) {
+  var opts = options || {};
+  var script = new Script(null, null);
+  var runtime;
+  var result;
+
+  if (!obj || typeof obj != "object" || Array.isArray(obj)) {
+    throw new Error("Expected an Object");
   }
 
-  return splitted.length ?  getNamespace(obj, splitted.join(".")) : obj;
-}
+  script.workdir = opts.workdir || process.cwd();
+  script.strict = opts.strict || false;
 
+  runtime = createRuntime(script, this, opts);
+  runtime.pointers = true;
 
-// Update section with specified markup
-function updateSection(scope, markup) {
-  var root = scope.root;
-  var keys;
-  var name;
-  var length;
-  var field;
-  var subscope;
-  var ns;
+  runtime.push(this);
 
-  keys = Object.keys(markup);
-  length = keys.length;
+  validateObject.call(runtime, this, obj);
 
-  for (var index = 0; index < length; index++) {
-    name = keys[index];
+  result = runtime.pop();
 
-    if (RESERVED_NAMES_RE.test(name)) {
-      throw new Error("Name '" + name + "' is reserved.");
-    }
+  return finishRuntime(runtime, result).result;
+};
 
-    if (scope.fields[name] || scope.statics[name]) {
-      throw new Error("Property '" + name + "' is already defined");
-    }
 
-    field = getPropertyField(name, markup[name]);
+// Validate plain object `obj` against fields of scope. The scope
+// must be pushed to the runtime.
+function validateObject(scope, obj) {
+  var self = this;
+  var known = {};
+  var namespaces = {};
+  var field;
+  var value;
+  var target;
+  var entries;
+  var mapKeys;
+  var keyTarget;
+  var name;
+  var key;
 
-    if (field == null) {
-      throw new Error("Property '" + name + "' cannot be null");
-    }
+  for (name in scope.fields) {
+    field = scope.fields[name];
+    target = lookupNamespace(obj, field.ns);
 
-    if (field.type == "static") {
+    known[field.ns ? field.ns + "." + name : name] = true;
 
-      if (field.value == NIL) {
-        throw new Error("Property '" + name + "', value of type " +
-                        "static must be set");
-      }
+    field.aliases.forEach(function(alias) {
+      known[field.ns ? field.ns + "." + alias : alias] = true;
+    });
 
-      scope.statics[name] = field.value;
+    if (field.ns) {
+      field.ns.split(".").reduce(function(prefix, part) {
+        prefix = prefix ? prefix + "." + part : part;
+        namespaces[prefix] = true;
+        return prefix;
+      }, null);
+    }
 
+    if (!target || typeof target != "object") {
       continue;
     }
 
-    if (PARAM_REQUIRED_RE.test(field.type) && !field.param) {
-      throw new Error("Property '" + name + "', `param` must be set for field.");
-    }
+    key = [name].concat(field.aliases).filter(function(key) {
+      return key in target;
+    })[0];
 
-    if (scope.type == "struct" && name !== scope.property) {
-      throw new Error("Property '" + name + "', struct's cannot contain " +
-                      "dynamic properties.");
+    if (typeof key == "undefined") {
+      continue;
     }
 
-    if (field.value !== NIL) {
-      scope.defaults[name] = field.value;
-    }
+    value = target[key];
 
-    if (field.required) {
-      scope.requirements[name] = field;
-    }
+    warnDeprecated.call(this, field, key);
 
-    field.root = root;
-    field.parent = scope;
+    if (field.type != "section" && field.type != "struct") {
+      applyResult.call(this, field, value);
+      continue;
+    }
 
-    if (field.type === "section" || field.type == "struct") {
-      field.fields = {};
-      field.defaults = {};
-      field.requirements = {};
-      field.statics = {};
+    entries = field.list && Array.isArray(value) ? value : [value];
+    mapKeys = null;
 
-      updateSection(field, field.param);
+    // Map entries are keyed by object key
+    if (field.map && value && typeof value == "object") {
+      mapKeys = Object.keys(value);
+      entries = mapKeys.map(function(key) {
+        return value[key];
+      });
+    }
 
-      if (field.property) {
+    for (var i = 0; i < entries.length; i++) {
 
-        if (typeof field.property !== "string") {
-          throw new Error( "Property '" + name + "', expected a string "
-                         + "value for section 'property'.");
-        }
+      if (!entries[i] || typeof entries[i] != "object") {
+        this.report(new RuntimeError(this, "Expected an Object"),
+                    fieldPath(this.scopePath(), field,
+                              lookupNamespace(this.currentResult, field.ns),
+                              mapKeys ? mapKeys[i] : undefined));
+        continue;
       }
 
-      if (field.index) {
-        if (typeof field.index !== "string") {
-          throw new Error( "Property '" + name + "', expected a string "
-                         + "value for section 'index'.");
+      this.push(field);
+
+      // The key property may be left out of map entries
+      if (mapKeys) {
+        keyTarget = lookupNamespace(entries[i], field.fields[field.keyBy].ns);
+        if (!keyTarget || typeof keyTarget != "object" ||
+            !(field.keyBy in keyTarget)) {
+          applyResult.call(this, field.fields[field.keyBy], mapKeys[i]);
         }
       }
 
-    }
+      if (typeof field.onenter == "function") {
+        field.onenter(this, this.currentResult);
+      }
 
-    ns = field.ns ? getNamespace(root.props, field.ns) : root.props;
+      validateObject.call(this, field, entries[i]);
 
-    if (!ns[name]) {
-      ns[name] = createProp(name, field.ns);
+      this.pop();
     }
+  }
 
-    scope.fields[name] = field;
+  for (name in scope.statics) {
+    known[name] = true;
   }
-}
 
+  if (scope.index) {
+    known[scope.index] = true;
+  }
 
-// Create a new property wrapper
-function createProp(name, ns) {
-  return function(value) {
-    var args = slice.call(arguments);
-    var scope = this.currentScope;
-    var fullname;
-    var field;
-    var prop;
+  // Check for unknown properties, also in namespaces
+  (function check(obj, prefix) {
+    var path;
 
-    fullname = ns ? [ns, name].join(".") : name;
+    for (var key in obj) {
+      path = prefix ? prefix + "." + key : key;
 
-    if (!scope || !scope.fields ||
-        !(field = scope.fields[name])) {
-      throw new Error( "Property '" + fullname + "' cannot be defined "
-                     + "in section '" + (scope && scope.name || "<null>") + "'");
+      if (namespaces[path] && obj[key] && typeof obj[key] == "object") {
+        check(obj[key], path);
+      } else if (!known[path]) {
+        self.report(new RuntimeError(self, "Unknown property '" + path + "'"),
+                    [self.scopePath(), path].filter(Boolean).join("."));
+      }
     }
+  })(obj, null);
+}
 
-    if (field.type == "section" || field.type == "struct") {
-      this.push(field);
 
-      if (field.property) {
+// Convert a field path, e.g. "server.location[1]", to a JSON pointer,
+// e.g. "/server/location/1".
+function jsonPointer(path) {
+  if (!path) {
+    return "";
+  }
 
-        if (!(prop = field.fields[field.property])) {
-          throw new Error( "Property '" + fullname + "', field not found: "
-                         + field.property);
-        }
+  // Map keys are quoted, e.g. 'location["/a.b"]'
+  return "/" + (path.match(/\[(\d+|"(?:[^"\\]|\\.)*")\]|[^.\[]+/g) || [])
+    .map(function(key) {
+      key = key.charAt(0) == "[" ? key.slice(1, -1) : key;
+      key = key.charAt(0) == '"' ? JSON.parse(key) : key;
+      return key.replace(/~/g, "~0").replace(/\//g, "~1");
+    }).join("/");
+}
 
-        applyResult.call(this, prop, value);
-      }
 
-      if (typeof field.onenter == "function") {
-        field.onenter(this, this.currentResult);
-      }
+// Create a JSON Schema for a section, struct or root context
+function sectionSchema(scope) {
+  var schema = { type: "object", properties: {}, additionalProperties: false };
+  var field;
+  var target;
 
-      if (field.type == "struct") {
-        this.pop();
-      }
+  for (var name in scope.fields) {
+    field = scope.fields[name];
+    target = field.ns ? namespaceSchema(schema, field.ns) : schema;
+    target.properties[name] = fieldSchema(field, scope.defaults[name]);
 
-    } else {
+    // Aliases are valid, but deprecated, names of the field
+    field.aliases.forEach(function(alias) {
+      var aliasSchema = fieldSchema(field, scope.defaults[field.name]);
+      aliasSchema.deprecated = true;
+      target.properties[alias] = aliasSchema;
+    });
 
-      return applyResult.call(this, field, value);
+    if (field.required) {
+      (target.required || (target.required = [])).push(name);
     }
   }
-}
 
+  for (var key in scope.statics) {
+    schema.properties[key] = { "const": jsonValue(scope.statics[key]) };
+  }
 
-// Apply result to current result set
+  if (scope.index) {
+    schema.properties[scope.index] = { type: "array" };
+  }
+
+  return schema;
+}
+
+
+// Get (or create) nested object schema for namespace `expr`
+function namespaceSchema(schema, expr) {
+  var splitted = expr.split(".");
+  var name = splitted.shift();
+  var obj;
+
+  if (!(name in schema.properties)) {
+    schema.properties[name] = { type: "object",
+                                properties: {},
+                                additionalProperties: false };
+  }
+
+  obj = schema.properties[name];
+
+  return splitted.length ? namespaceSchema(obj, splitted.join(".")) : obj;
+}
+
+
+// Get the source of a case-insensitive RegExp as a JSON Schema pattern,
+// which cannot have flags. Letters, and letter ranges in character
+// classes, are replaced by both cases.
+function patternSource(re) {
+  var inClass = false;
+  var tokens;
+
+  tokens = /\\(?:u[\da-f]{4}|x[\da-f]{2}|c[a-z]|.)|[a-z]-[a-z]|[\[\]a-z]/gi;
+
+  function cases(c) {
+    return c.toLowerCase() + c.toUpperCase();
+  }
+
+  return re.source.replace(tokens, function(c) {
+    // Escaped letters, e.g. "\u0041", are letters too
+    if (/^\\[ux]/.test(c) &&
+        /[a-z]/i.test(String.fromCharCode(parseInt(c.substr(2), 16)))) {
+      c = String.fromCharCode(parseInt(c.substr(2), 16));
+    } else if (c.charAt(0) == "\\") {
+      return c;
+    }
+    if (c == "[" || c == "]") {
+      inClass = c == "[";
+      return c;
+    }
+    if (c.length > 1) {
+      // A range in a character class, or a letter, "-" and a letter
+      return inClass ? cases(c)
+                     : "[" + cases(c.charAt(0)) + "]-[" +
+                       cases(c.charAt(2)) + "]";
+    }
+    return inClass ? cases(c) : "[" + cases(c) + "]";
+  });
+}
+
+
+// Create a JSON Schema for a single field
+function fieldSchema(field, defvalue) {
+  var schema;
+
+  switch (field.type) {
+    case "boolean": schema = { type: "boolean" }; break;
+    case "string": schema = { type: "string" }; break;
+    case "number": schema = { type: "number" }; break;
+    case "integer": schema = { type: "integer" }; break;
+    case "float": schema = { type: "number" }; break;
+    case "ipv4": schema = { type: "string", format: "ipv4" }; break;
+    case "ipv6": schema = { type: "string", format: "ipv6" }; break;
+    case "hostname": schema = { type: "string", format: "hostname" }; break;
+    case "url": schema = { type: "string", format: "uri" }; break;
+
+    case "port":
+      schema = { type: "integer", minimum: 0, maximum: 65535 };
+      break;
+
+    case "ip":
+      schema = { type: "string",
+                 anyOf: [ { format: "ipv4" }, { format: "ipv6" } ] };
+      break;
+
+    case "cidr":
+      schema = { type: "string", pattern: "^[\\da-fA-F.:]+/\\d{1,3}$" };
+      break;
+
+    case "address":
+      schema = { type: "string", pattern: ADDRESS_RE.source };
+      break;
+    case "array": schema = { type: "array" }; break;
+    case "object": schema = { type: "object" }; break;
+    case "regexp": schema = { type: "string", format: "regex" }; break;
+    case "path": schema = { type: "string" }; break;
+    case "wildcard": schema = {}; break;
+
+    case "expression":
+      schema = { type: "string" };
+      // Patterns with other flags than `i`, `g` and `y` cannot be expressed
+      if (!/[msu]/.test(field.param.flags)) {
+        schema.pattern = field.param.ignoreCase ? patternSource(field.param)
+                                                : field.param.source;
+      }
+      break;
+
+    case "union":
+      schema = { anyOf: field.members.map(function(member) {
+        return fieldSchema(Object.create(member, { list: { value: false } }));
+      }) };
+      break;
+
+    case "enum":
+      schema = { "enum": field.param.concat(Object.keys(field.valueAliases ||
+                                                        {})) };
+      break;
+
+    case "bytesize":
+      schema = { anyOf: [ { type: "number" },
+                          { type: "string",
+                            pattern: patternSource(BYTESIZE_RE) } ] };
+      break;
+
+    case "timeunit":
+      schema = { anyOf: [ { type: "number" },
+                          { type: "string",
+                            pattern: patternSource(TIMEUNIT_RE) },
+                          { type: "string",
+                            pattern: patternSource(ISO_DURATION_RE) } ] };
+      break;
+
+    case "section":
+    case "struct":
+      schema = sectionSchema(field);
+      break;
+
+    case "custom":
+      // Custom validators cannot be expressed in JSON Schema
+      schema = { "x-conf-custom": field.param.name || true };
+      break;
+
+    default:
+      schema = {};
+      break;
+  }
+
+  if (field.range && field.type != "bytesize" && field.type != "timeunit") {
+    field.range.min != null && (schema.minimum = field.range.min);
+    field.range.max != null && (schema.maximum = field.range.max);
+    field.range.step != null && (schema.multipleOf = field.range.step);
+  }
+
+  if (field.list) {
+    schema = { type: "array", items: schema };
+  } else if (field.map) {
+    schema = { type: "object", additionalProperties: schema };
+  }
+
+  if (field.description) {
+    schema.description = field.description;
+  }
+
+  if (field.deprecated) {
+    schema.deprecated = true;
+  }
+
+  if (field.secret) {
+    schema.writeOnly = true;
+  } else if (typeof defvalue != "undefined") {
+    if (field.list && !Array.isArray(defvalue)) {
+      defvalue = [defvalue];
+    }
+    schema["default"] = jsonValue(defvalue);
+  }
+
+  return schema;
+}
+
+
+// Convert value to a JSON-compatible value
+function jsonValue(value) {
+  if (value && value.constructor === RegExp) {
+    return value.source;
+  }
+  if (Array.isArray(value)) {
+    return value.map(jsonValue);
+  }
+  return value;
+}
+
+
+// Get documentation entries for all fields in scope
+function docEntries(scope, prefix) {
+  var entries = [];
+  var field;
+  var path;
+  var entry;
+
+  for (var name in scope.fields) {
+    field = scope.fields[name];
+    path = field.ns ? field.ns + "." + name : name;
+    path = prefix ? prefix + "." + path : path;
+
+    entry = { path: path,
+              name: name,
+              type: field.type,
+              description: field.description,
+              required: field.required,
+              list: field.list,
+              ns: field.ns,
+              property: field.property,
+              keyBy: field.map ? field.keyBy : null,
+              pattern: fieldPattern(field),
+              values: field.type == "enum"
+                      ? field.param.map(formatValue).join(", ")
+                      : null,
+              members: field.type == "union"
+                       ? field.members.map(memberLabel).join(", ")
+                       : null,
+              min: field.min != null ? formatValue(field.min) : null,
+              max: field.max != null ? formatValue(field.max) : null,
+              step: field.step != null ? formatValue(field.step) : null,
+              env: field.type != "section" && field.type != "struct"
+                   ? envName(field)
+                   : null,
+              defaults: name in scope.defaults
+                        ? (field.secret
+                           ? REDACTED
+                           : formatValue(scope.defaults[name]))
+                        : null,
+              secret: field.secret,
+              aliases: field.aliases.join(", "),
+              deprecated: field.deprecated === true
+                          ? "yes"
+                          : field.deprecated,
+              example: field.example !== NIL
+                       ? formatValue(field.example)
+                       : null,
+              children: null };
+
+    if (field.type == "section" || field.type == "struct") {
+      entry.children = docEntries(field, path);
+    }
+
+    entries.push(entry);
+  }
+
+  return entries;
+}
+
+
+// Get the pattern that values of field must match, if any
+function fieldPattern(field) {
+  switch (field.type) {
+    case "expression": return field.param.toString();
+    case "bytesize": return BYTESIZE_RE.toString();
+    case "timeunit": return TIMEUNIT_RE.toString();
+  }
+  return null;
+}
+
+
+// Get the details of a documentation entry as [label, value] pairs
+function docDetails(entry) {
+  var details = [["Type", entry.type]];
+
+  entry.list && details.push(["List", "yes"]);
+  entry.required && details.push(["Required", "yes"]);
+  entry.ns && details.push(["Namespace", entry.ns]);
+  entry.property && details.push(["Property", entry.property]);
+  entry.keyBy && details.push(["Map", "keyed by " + entry.keyBy]);
+  entry.pattern && details.push(["Pattern", entry.pattern]);
+  entry.values && details.push(["Values", entry.values]);
+  entry.members && details.push(["Members", entry.members]);
+  entry.min && details.push(["Min", entry.min]);
+  entry.max && details.push(["Max", entry.max]);
+  entry.step && details.push(["Step", entry.step]);
+  entry.env && details.push(["Environment", entry.env]);
+  entry.secret && details.push(["Secret", "yes"]);
+  entry.aliases && details.push(["Aliases", entry.aliases]);
+  entry.deprecated && details.push(["Deprecated", entry.deprecated]);
+  entry.defaults && details.push(["Default", entry.defaults]);
+  entry.example && details.push(["Example", entry.example]);
+
+  return details;
+}
+
+
+// Generate an example config, in the conf DSL, for scope
+function exampleConfig(scope, indent, lines) {
+  var field;
+  var fullname;
+  var value;
+
+  for (var name in scope.fields) {
+    field = scope.fields[name];
+    fullname = field.ns ? field.ns + "." + name : name;
+
+    if (field.type == "struct" && Object.keys(field.fields).length > 1) {
+      lines.push(indent + fullname + "(" +
+                 Object.keys(field.fields).map(function(name) {
+                   var value = exampleValue(field.fields[name],
+                                            field.defaults[name]);
+                   if (value == null) {
+                     lines.push(exampleComment(indent, fullname + "." + name,
+                                               field.fields[name]));
+                   }
+                   return value == null ? "undefined" : value;
+                 }).join(", ") + ")");
+      continue;
+    }
+
+    if (field.type == "section" || field.type == "struct") {
+
+      if (field.property &&
+          (value = exampleValue(field.fields[field.property],
+                                field.defaults[field.property])) != null) {
+        lines.push(indent + fullname + " = " + value);
+      } else if (field.property) {
+        lines.push(exampleComment(indent, fullname,
+                                  field.fields[field.property]));
+        lines.push(indent + fullname);
+      } else {
+        lines.push(indent + fullname);
+      }
+
+      if (field.type == "section") {
+        exampleConfig(field, indent + "    ", lines);
+        lines.push(indent + "end");
+      }
+
+      continue;
+    }
+
+    // The default property is set on the section line
+    if (scope.type == "struct" || name === scope.property) {
+      continue;
+    }
+
+    if (field.list && Array.isArray(field.example)) {
+      field.example.forEach(function(value) {
+        lines.push(indent + fullname + " = " + formatValue(value));
+      });
+      continue;
+    }
+
+    value = exampleValue(field, scope.defaults[name]);
+
+    lines.push(value != null
+               ? indent + fullname + " = " + value
+               : exampleComment(indent, fullname, field));
+  }
+
+  return lines;
+}
+
+
+// Get a comment line for a field without example value, e.g.
+// '// mode = ? (/^(a|b)$/)'
+function exampleComment(indent, fullname, field) {
+  return indent + "// " + fullname + " = ? (" +
+         (fieldPattern(field) || field.type) + ")";
+}
+
+
+// Get an example value, in the conf DSL, for field. Returns null for
+// expression and custom fields without `example` or default value, as
+// any made up value would probably not be valid.
+function exampleValue(field, defvalue) {
+  var value;
+
+  if (field.example !== NIL) {
+    return formatValue(field.example);
+  }
+
+  if (typeof defvalue != "undefined" && !field.secret) {
+    if (field.list && Array.isArray(defvalue)) {
+      defvalue = defvalue[0];
+    }
+    return formatValue(defvalue);
+  }
+
+  switch (field.type) {
+    case "boolean": return "true";
+    case "number": return String(exampleNumber(field.range, 0));
+    case "integer": return String(exampleNumber(field.range, 0));
+    case "float": return field.range
+                         ? String(exampleNumber(field.range, 0))
+                         : "0.0";
+    case "enum": return formatValue(field.param[0]);
+    case "union":
+      for (var i = 0; i < field.members.length; i++) {
+        if ((value = exampleValue(field.members[i])) != null) {
+          return value;
+        }
+      }
+      return null;
+    case "port": return String(exampleNumber(field.range, 8080));
+    case "ipv4": return "\"127.0.0.1\"";
+    case "ipv6": return "\"::1\"";
+    case "ip": return "\"127.0.0.1\"";
+    case "cidr": return "\"10.0.0.0/8\"";
+    case "hostname": return "\"localhost\"";
+    case "url": return "\"" + (field.protocols ? field.protocols[0] : "http") +
+                       "://localhost/\"";
+    case "address": return "\"127.0.0.1:8080\"";
+    case "array": return "[]";
+    case "object": return "{}";
+    case "regexp": return "/.*/";
+    case "path": return "\"./path\"";
+    case "bytesize": return field.range
+                            ? String(exampleNumber(field.range, 0))
+                            : "\"1mb\"";
+    case "timeunit": return field.range
+                            ? String(exampleNumber(field.range, 0))
+                            : "\"1s\"";
+    case "expression": return null;
+    case "custom": return null;
+  }
+
+  return "\"" + field.name + "\"";
+}
+
+
+// Get an example number within `min`, `max` and `step` of range. The
+// `preferred` number is used, if it is within range.
+function exampleNumber(range, preferred) {
+  var value = preferred;
+
+  if (!range) {
+    return value;
+  }
+
+  // Multiples of step are counted from min, if set, else from 0
+  if (range.min != null) {
+    return range.min;
+  }
+
+  if (range.step != null) {
+    value = Math.floor(value / range.step) * range.step;
+  }
+
+  if (range.max != null && value > range.max) {
+    value = range.step != null
+            ? Math.floor(range.max / range.step) * range.step
+            : range.max;
+  }
+
+  return value;
+}
+
+
+// Format a value as a conf DSL (JavaScript) literal
+function formatValue(value) {
+
+  if (value && value.constructor === RegExp) {
+    return value.toString();
+  }
+
+  if (Array.isArray(value)) {
+    return "[" + value.map(formatValue).join(", ") + "]";
+  }
+
+  if (typeof value == "undefined") {
+    return "undefined";
+  }
+
+  return JSON.stringify(value);
+}
+
+
+function markdownDocs(title, entries, example) {
+  var lines = ["# " + title, ""];
+
+  function walk(entries, depth) {
+    entries.forEach(function(entry) {
+      lines.push(new Array(Math.min(depth, 6) + 1).join("#") +
+                 " " + entry.path, "");
+
+      if (entry.description) {
+        lines.push(entry.description, "");
+      }
+
+      docDetails(entry).forEach(function(detail) {
+        lines.push("- " + detail[0] + ": `" + detail[1] + "`");
+      });
+
+      lines.push("");
+
+      entry.children && walk(entry.children, depth + 1);
+    });
+  }
+
+  walk(entries, 2);
+
+  lines.push("## Example", "");
+
+  example.split("\n").forEach(function(line) {
+    lines.push("    " + line);
+  });
+
+  return lines.join("\n") + "\n";
+}
+
+
+function htmlDocs(title, entries, example) {
+  var lines = ["<h1>" + escapeHTML(title) + "</h1>"];
+
+  function walk(entries, depth) {
+    entries.forEach(function(entry) {
+      var tag = "h" + Math.min(depth, 6);
+
+      lines.push("<" + tag + " id=\"" + escapeHTML(entry.path) + "\">" +
+                 escapeHTML(entry.path) + "</" + tag + ">");
+
+      if (entry.description) {
+        lines.push("<p>" + escapeHTML(entry.description) + "</p>");
+      }
+
+      lines.push("<dl>");
+
+      docDetails(entry).forEach(function(detail) {
+        lines.push("<dt>" + detail[0] + "</dt><dd><code>" +
+                   escapeHTML(detail[1]) + "</code></dd>");
+      });
+
+      lines.push("</dl>");
+
+      entry.children && walk(entry.children, depth + 1);
+    });
+  }
+
+  walk(entries, 2);
+
+  lines.push("<h2>Example</h2>",
+             "<pre><code>" + escapeHTML(example) + "</code></pre>");
+
+  return lines.join("\n") + "\n";
+}
+
+
+function manDocs(title, entries, example) {
+  var lines = [".TH \"" + escapeRoff(title) + "\" 5", ".SH OPTIONS"];
+
+  function walk(entries) {
+    entries.forEach(function(entry) {
+      lines.push(".TP", "\\fB" + escapeRoff(entry.path) + "\\fR");
+
+      if (entry.description) {
+        lines.push(escapeRoff(entry.description), ".br");
+      }
+
+      docDetails(entry).forEach(function(detail) {
+        lines.push(detail[0] + ": " + escapeRoff(detail[1]), ".br");
+      });
+
+      entry.children && walk(entry.children);
+    });
+  }
+
+  walk(entries);
+
+  lines.push(".SH EXAMPLE", ".nf");
+
+  example.split("\n").forEach(function(line) {
+    lines.push(escapeRoff(line));
+  });
+
+  lines.push(".fi");
+
+  return lines.join("\n") + "\n";
+}
+
+
+function escapeHTML(str) {
+  return String(str).replace(/&/g, "&amp;")
+                    .replace(/</g, "&lt;")
+                    .replace(/>/g, "&gt;")
+                    .replace(/"/g, "&quot;");
+}
+
+
+function escapeRoff(str) {
+  return String(str).replace(/\\/g, "\\e")
+                    .replace(/-/g, "\\-")
+                    .replace(/^([.'])/, "\\&$1");
+}
+
+
+function RuntimeError(runtime, message, label) {
+  this.runtime = runtime;
+  this.message = message;
+  this.path = null;
+
+  this._stack = captureCallSites(RuntimeError);
+
+  // Capture once more, this will cause `toString` to
+  // generate the stack-dump as string.
+  Error.captureStackTrace(this, RuntimeError);
+
+  if (typeof label == "string") {
+    this.label = label;
+  } else {
+
+    if (!runtime || !runtime.script) {
+      this.label = "unknown";
+      return;
+    }
+
+    this.label = scriptLabel(this.runtime.script, this._stack) ||
+                 String(this.runtime.script.filename);
+  }
+
+}
+
+exports.RuntimeError = RuntimeError;
+require("util").inherits(RuntimeError, Error);
+
+RuntimeError.prototype.getSimpleMessage = function() {
+  if (this.errors) {
+    // Aggregated errors have labels in message
+    return this.message;
+  }
+  return this.message + " (" + this.label + ")";
+};
+
+// Create an aggregate error from a list of collected errors
+RuntimeError.aggregate = function(runtime, errors) {
+  var lines;
+  var error;
+
+  lines = errors.map(function(error) {
+    return "  " + (error.path ? error.path + ": " : "") + error.message +
+           (error.label !== error.path ? " (" + error.label + ")" : "");
+  });
+
+  lines.unshift("Found " + errors.length + " error" +
+                (errors.length == 1 ? "" : "s") + ":");
+
+  // Plain objects, from `validate`, and scripts from code has no filename
+  error = new RuntimeError(runtime, lines.join("\n"),
+                           runtime.script &&
+                           typeof runtime.script.filename == "string"
+                           ? runtime.script.filename
+                           : "");
+  error.errors = errors;
+
+  return error;
+};
+
+
+// Capture the call stack as an Array of call sites, instead
+// of just a formatted string.
+function captureCallSites(fn) {
+  var prepare = Error.prepareStackTrace;
+  var limit = Error.stackTraceLimit;
+  var obj = {};
+  var stack;
+
+  Error.stackTraceLimit = Infinity;
+  Error.prepareStackTrace = function(error, stack) {
+    return stack;
+  };
+
+  // Accessing `stack` triggers prepareStackTrace
+  Error.captureStackTrace(obj, fn);
+  stack = obj.stack;
+
+  Error.prepareStackTrace = prepare;
+  Error.stackTraceLimit = limit;
+
+  return stack;
+}
+
+
+// Get the outermost call site that belongs to specified script, as
+// an object with `line` and `column`. The innermost call site is
+// returned if `innermost` is set.
+function scriptCallSite(script, stack, innermost) {
+  var site = null;
+  var column;
+  var obj;
+
+  if (script.filename == null) {
+    return null;
+  }
+
+  for (var i = 0; i < stack.length; i++) {
+    obj = stack[i];
+
+    if ((obj.getTypeName() == "[object global]" &&
+         obj.getEvalOrigin() == script.filename) ||
+        obj.getFileName() == script.filename) {
+      // Matched current script. The first line is prefixed by
+      // the script wrapper.
+      column = obj.getColumnNumber();
+      if (obj.getLineNumber() == 1) {
+        column -= WRAPPER_TMPL.indexOf("%s");
+      }
+      site = { line: obj.getLineNumber(), column: column };
+      if (innermost) {
+        break;
+      }
+    }
+  }
+
+  return site;
+}
+
+
+// Get a "filename:line:column" label for the outermost call site
+// that belongs to specified script.
+function scriptLabel(script, stack) {
+  var site = scriptCallSite(script, stack);
+  return site && [script.filename, site.line, site.column].join(":");
+}
+
+// Kind of "hacky", but it works.
+RuntimeError.fromNativeError = function(runtime, error) {
+  var stack;
+  var re;
+  var m;
+
+  // Syntax errors have the location on the first lines of the stack,
+  // e.g. "a.conf:2\nb = ;\n    ^"
+  if (error instanceof SyntaxError && typeof error.stack == "string" &&
+      (m = /^(.*):(\d+)\n.*\n( *)\^/.exec(error.stack))) {
+    return new RuntimeError(runtime, error.message,
+                            [m[1], m[2], m[3].length + 1 -
+                                         (m[2] == "1"
+                                          ? WRAPPER_TMPL.indexOf("%s")
+                                          : 0)].join(":"));
+  }
+
+  if (typeof error == "object" && error.stack && runtime.script) {
+    re = new RegExp("at\\s(" + runtime.script.filename + "\\:\\d+\\:\\d+)");
+    stack = error.stack.split("\n");
+    for (var i = 0, l = stack.length; i < l; i++) {
+      if ((m = re.exec(stack[i]))) {
+        return new RuntimeError(runtime, error.message || error.toString(),
+                                         m[1]);
+      }
+    }
+    return new RuntimeError(runtime, error.message || error.toString());
+  } else {
+    return new RuntimeError(runtime, error);
+  }
+};
+
+
+// Wraps the value of a secret field. The value is only returned by
+// `reveal`, and shown as "[REDACTED]" everywhere else.
+function Secret(value) {
+  Object.defineProperty(this, "reveal", {
+    value: function() { return value; }
+  });
+}
+
+exports.Secret = Secret;
+
+Secret.prototype.toString = function() {
+  return REDACTED;
+};
+
+Secret.prototype.toJSON = function() {
+  return REDACTED;
+};
+
+Secret.prototype.inspect = function() {
+  return REDACTED;
+};
+
+if (require("util").inspect.custom) {
+  Secret.prototype[require("util").inspect.custom] = Secret.prototype.inspect;
+}
+
+
+// Create an error for resource `limit`, e.g. "maxIncludeDepth", that is
+// exceeded while executing `file`.
+function limitError(runtime, limit, value, file) {
+  return new RuntimeError(runtime, "Exceeded " + limit + " of " + value +
+                                   " in '" + file + "'");
+}
+
+
+// Add bytes of source, from `file`, to the total of runtime and check
+// the `maxSourceBytes` limit.
+function addSourceBytes(runtime, bytes, file) {
+  var limits = runtime.limits;
+
+  runtime.sourceBytes += bytes;
+
+  if (limits && limits.maxSourceBytes &&
+      runtime.sourceBytes > limits.maxSourceBytes) {
+    throw limitError(runtime, "maxSourceBytes",
+                     limits.maxSourceBytes + " bytes", file);
+  }
+}
+
+
+// Get the path of the file that is executed by runtime
+function currentFile(runtime, filename) {
+  return runtime.includeStack[runtime.includeStack.length - 1] || filename;
+}
+
+
+// Run a script in sandbox
+function runScript(runtime, sandbox, code, filename) {
+  var wrapper = WRAPPER_TMPL.replace(/%s/g, code);
+  var limits = runtime.limits;
+  var remaining = limits && limits.deadline ? limits.deadline - Date.now()
+                                            : null;
+  var previous = limits && limits.file;
+  var timedOut;
+  var script;
+  try {
+    script = createScript(wrapper, filename);
+    if (remaining != null && remaining <= 0) {
+      throw limitError(runtime, "timeout", limits.timeout + " ms",
+                       currentFile(runtime, filename));
+    }
+    // The file is not restored if the script is terminated, so that
+    // timeouts are reported for the innermost file
+    limits && (limits.file = currentFile(runtime, filename));
+    // Includes share the time left of the main script
+    script.runInNewContext(sandbox, remaining != null
+                                    ? { timeout: Math.ceil(remaining) }
+                                    : undefined);
+    runtime.flush();
+    limits && (limits.file = previous);
+  } catch (scriptError) {
+    timedOut = !(scriptError instanceof RuntimeError) && scriptError &&
+               (scriptError.code == "ERR_SCRIPT_EXECUTION_TIMEOUT" ||
+                // Older versions of node has no error code
+                limits.deadline &&
+                (Date.now() >= limits.deadline ||
+                 /^Script execution timed out/.test(scriptError.message)));
+    if (!timedOut && limits) {
+      limits.file = previous;
+    }
+    if (scriptError instanceof RuntimeError) {
+      throw scriptError;
+    } else if (timedOut) {
+      // Outer scripts may time out as well, keep the innermost error
+      throw limits.timeoutError ||
+            (limits.timeoutError = limitError(runtime, "timeout",
+                                              limits.timeout + " ms",
+                                              limits.file));
+    } else if (typeof scriptError == "object" &&
+               typeof scriptError.stack == "string") {
+      throw RuntimeError.fromNativeError(runtime, scriptError);
+    } else {
+      throw new RuntimeError(runtime, scriptError &&
+                                      scriptError.message ||
+                                      "unknown runtime error");
+    }
+  }
+}
+
+
+// Create a new sandbox from runtime
+// and optional enviroment variables
+function createSandbox(runtime, env) {
+  var sandbox = { __props : {} };
+  var context = runtime.context;
+  var globals = runtime.globals;
+  var propfn;
+
+  defineProperties(runtime, context.props, sandbox.__props);
+
+  Object.defineProperty(sandbox.__props, "end", {
+    get: (function() {
+      var field = this.currentScope;
+      var result = this.currentResult;
+
+      this.flush();
+
+      if (typeof field.onexit == "function") {
+        field.onexit(this, result);
+      }
+
+      this.pop();
+
+    }).bind(runtime)
+  });
+
+  sandbox.include = includeImpl.bind(runtime);
+  sandbox.include_once = includeOnceImpl.bind(runtime);
+  sandbox.define = defineImpl.bind([runtime, sandbox]);
+  sandbox.file = fileImpl.bind(runtime);
+
+  for (var name in env) {
+    if (RESERVED_NAMES_RE.test(name)) {
+      throw new Error("Environment property '" +  name + "' is reserved.");
+    }
+    sandbox[name] = env[name];
+  }
+
+  for (var key in globals) {
+    if (RESERVED_NAMES_RE.test(key)) {
+      throw new Error("Global property '" +  key + "' is reserved.");
+    }
+    sandbox[key] = globals[key];
+  }
+
+  return sandbox;
+}
+
+
+function getNamespace(target, expr) {
+  var splitted = expr.split(".");
+  var name = splitted.shift();
+  var obj;
+
+  if (name in target) {
+    obj = target[name];
+  } else {
+    obj = target[name] = {};
+  }
+
+  return splitted.length ?  getNamespace(obj, splitted.join(".")) : obj;
+}
+
+
+// Update section with specified markup
+function updateSection(scope, markup) {
+  var root = scope.root;
+  var keys;
+  var name;
+  var length;
+  var field;
+  var subscope;
+  var ns;
+
+  keys = Object.keys(markup);
+  length = keys.length;
+
+  for (var index = 0; index < length; index++) {
+    name = keys[index];
+
+    if (RESERVED_NAMES_RE.test(name)) {
+      throw new Error("Name '" + name + "' is reserved.");
+    }
+
+    if (scope.fields[name] || scope.statics[name] ||
+        scope.aliasNames[name]) {
+      throw new Error("Property '" + name + "' is already defined");
+    }
+
+    field = getPropertyField(name, markup[name]);
+
+    if (field == null) {
+      throw new Error("Property '" + name + "' cannot be null");
+    }
+
+    if (field.type == "static") {
+
+      if (field.value == NIL) {
+        throw new Error("Property '" + name + "', value of type " +
+                        "static must be set");
+      }
+
+      scope.statics[name] = field.value;
+
+      continue;
+    }
+
+    if (field.merge && !MERGE_RE.test(field.merge)) {
+      throw new Error("Property '" + name + "', expected \"append\" or " +
+                      "\"replace\" as `merge`.");
+    }
+
+    if (PARAM_REQUIRED_RE.test(field.type) && !field.param) {
+      throw new Error("Property '" + name + "', `param` must be set " +
+                      "for field.");
+    }
+
+    if (field.type == "enum") {
+      checkEnum(name, field);
+    }
+
+    if ((field.requires || field.conflicts || field.oneOf ||
+         field.validator) &&
+        field.type != "section" && field.type != "struct") {
+      throw new Error("Property '" + name + "', `requires`, `conflicts`, " +
+                      "`oneOf` and `validate` is only supported by " +
+                      "sections and structs.");
+    }
+
+    if (field.map && field.type != "section" && field.type != "struct") {
+      throw new Error("Property '" + name + "', `map` is only supported " +
+                      "by sections and structs.");
+    }
+
+    if (field.duplicates && !DUPLICATES_RE.test(field.duplicates)) {
+      throw new Error("Property '" + name + "', expected \"error\" or " +
+                      "\"merge\" as `duplicates`.");
+    }
+
+    if (scope.type == "struct" &&
+        (field.type == "section" || field.type == "struct")) {
+      throw new Error("Property '" + name + "', struct's cannot contain " +
+                      "sections or structs.");
+    }
+
+    if (field.value !== NIL) {
+      scope.defaults[name] = field.value;
+    }
+
+    if (field.required) {
+      scope.requirements[name] = field;
+    }
+
+    field.root = root;
+    field.parent = scope;
+
+    if (field.type === "section" || field.type == "struct") {
+      updateSectionField(name, field);
+    }
+
+    if (field.type == "union") {
+      updateUnion(name, field);
+    }
+
+    ns = field.ns ? getNamespace(root.props, field.ns) : root.props;
+
+    if (!ns[name]) {
+      ns[name] = createProp(name, field.ns);
+    }
+
+    scope.fields[name] = field;
+
+    updateAliases(scope, field, ns);
+  }
+}
+
+
+// Build the scope of a section, or struct, field
+function updateSectionField(name, field) {
+  field.fields = {};
+  field.defaults = {};
+  field.requirements = {};
+  field.statics = {};
+  field.aliasNames = {};
+
+  updateSection(field, field.param);
+  updateConstraints(field);
+
+  if (field.property) {
+
+    if (typeof field.property !== "string") {
+      throw new Error( "Property '" + name + "', expected a string "
+                     + "value for section 'property'.");
+    }
+  }
+
+  if (field.index) {
+    if (typeof field.index !== "string") {
+      throw new Error( "Property '" + name + "', expected a string "
+                     + "value for section 'index'.");
+    }
+  }
+
+  if (field.map) {
+    updateMapKey(name, field);
+  }
+}
+
+
+// Check the key field of a map section, or struct
+function updateMapKey(name, field) {
+  var key;
+
+  if (field.list) {
+    throw new Error("Property '" + name + "', `map` and `list` cannot " +
+                    "be combined.");
+  }
+
+  if (typeof field.keyBy !== "string") {
+    throw new Error("Property '" + name + "', expected a string value " +
+                    "for `keyBy`, or `property` to be set.");
+  }
+
+  if (!(key = field.fields[field.keyBy])) {
+    throw new Error("Property '" + name + "', key field not found: " +
+                    field.keyBy);
+  }
+
+  if (key.list || key.type == "section" || key.type == "struct") {
+    throw new Error("Property '" + name + "', key field '" + field.keyBy +
+                    "' must be a single value.");
+  }
+}
+
+
+// Build the member fields of a union field. Members are any field
+// markup, or a literal value, e.g. `false`, that only matches itself.
+function updateUnion(name, field) {
+
+  if (!Array.isArray(field.param) || !field.param.length) {
+    throw new Error("Property '" + name + "', expected a non-empty array " +
+                    "of types for union.");
+  }
+
+  field.members = field.param.map(function(expr) {
+    var member;
+
+    if (expr === null || typeof expr == "boolean" ||
+        typeof expr == "number") {
+      expr = { "enum": [expr] };
+    }
+
+    member = getPropertyField(name, expr);
+
+    if (member.type == "static" || member.type == "union") {
+      throw new Error("Property '" + name + "', type " + member.type +
+                      " cannot be used in union");
+    }
+
+    member.ns = field.ns;
+    member.list = field.list;
+    member.root = field.root;
+    member.parent = field.parent;
+
+    if (member.type == "enum") {
+      checkEnum(name, member);
+    }
+
+    if (member.type === "section" || member.type == "struct") {
+      updateSectionField(name, member);
+    }
+
+    return member;
+  });
+}
+
+
+// Check and normalize the `requires`, `conflicts` and `oneOf` constraints
+// of scope. Field names in maps are converted to arrays of names.
+function updateConstraints(scope) {
+
+  function checkName(name) {
+    if (!(name in scope.fields)) {
+      throw new Error("Section '" + scope.name + "', unknown property '" +
+                      name + "' in constraints");
+    }
+    return name;
+  }
+
+  function normalize(map) {
+    var result = {};
+
+    if (!map) {
+      return null;
+    }
+
+    for (var name in map) {
+      result[checkName(name)] = (Array.isArray(map[name])
+                                 ? map[name]
+                                 : [map[name]]).map(checkName);
+    }
+
+    return result;
+  }
+
+  scope.requires = normalize(scope.requires);
+  scope.conflicts = normalize(scope.conflicts);
+
+  if (scope.oneOf) {
+    if (!Array.isArray(scope.oneOf[0])) {
+      scope.oneOf = [scope.oneOf];
+    }
+    scope.oneOf.forEach(function(group) {
+      group.forEach(checkName);
+    });
+  }
+
+  if (scope.validator && typeof scope.validator != "function") {
+    throw new Error("Section '" + scope.name + "', expected a function " +
+                    "for `validate`");
+  }
+}
+
+
+// Map the aliases of field onto the field, in scope
+function updateAliases(scope, field, ns) {
+  var aliases = field.aliases;
+  var alias;
+
+  if (!Array.isArray(aliases)) {
+    throw new Error("Property '" + field.name + "', expected an array " +
+                    "of names for `aliases`.");
+  }
+
+  for (var i = 0; i < aliases.length; i++) {
+    alias = aliases[i];
+
+    if (typeof alias != "string" || RESERVED_NAMES_RE.test(alias)) {
+      throw new Error("Property '" + field.name + "', bad alias '" +
+                      alias + "'");
+    }
+
+    if (scope.fields[alias] || scope.statics[alias] ||
+        scope.aliasNames[alias]) {
+      throw new Error("Property '" + field.name + "', alias '" + alias +
+                      "' is already defined");
+    }
+
+    scope.aliasNames[alias] = field.name;
+
+    if (!ns[alias]) {
+      ns[alias] = createProp(alias, field.ns);
+    }
+  }
+}
+
+
+// Create a new property wrapper
+function createProp(name, ns) {
+  return function(value) {
+    var args = slice.call(arguments);
+    var scope = this.currentScope;
+    var fullname;
+    var field;
+
+    fullname = ns ? [ns, name].join(".") : name;
+
+    this.flush();
+
+    if (!scope || !scope.fields ||
+        !(field = scope.fields[name] ||
+                  scope.fields[scope.aliasNames && scope.aliasNames[name]])) {
+      throw new Error( "Property '" + fullname + "' cannot be defined "
+                     + "in section '" + (scope && scope.name || "<null>")
+                     + "'");
+    }
+
+    warnDeprecated.call(this, field, name);
+
+    // A union name without value opens the first section member
+    if (field.type == "union" && !args.length) {
+      field = field.members.filter(function(member) {
+        return member.type == "section";
+      })[0] || field;
+    }
+
+    if (field.property && !field.fields[field.property]) {
+      throw new Error( "Property '" + fullname + "', field not found: "
+                     + field.property);
+    }
+
+    if (field.type == "struct") {
+
+      if (!args.length) {
+        return pendingStruct.call(this, field, fullname);
+      }
+
+      applyStruct.call(this, field, args);
+
+    } else if (field.type == "section") {
+      this.push(field);
+
+      // A bare section name, without value, leaves `property` unset
+      if (field.property && args.length) {
+        applyResult.call(this, field.fields[field.property], value);
+      }
+
+      if (typeof field.onenter == "function") {
+        field.onenter(this, this.currentResult);
+      }
+
+    } else {
+
+      return applyResult.call(this, field, value);
+    }
+  }
+}
+
+
+// Mark bare struct `field` as pending. Returns a function that applies
+// the struct with values instead, e.g. `listen("0.0.0.0", 80)`.
+function pendingStruct(field, fullname) {
+  var self = this;
+  var pending = { field: field };
+
+  this.pending = pending;
+
+  return function() {
+    if (self.pending !== pending) {
+      throw new RuntimeError(self, "Struct '" + fullname + "' is already " +
+                                   "applied");
+    }
+    self.pending = null;
+    applyStruct.call(self, field, slice.call(arguments));
+  };
+}
+
+
+// Apply struct field with values `args`. A single value is applied to
+// the `property` field, if set. Otherwise values, or the items of a
+// single Array, are applied to the fields of the struct in order. A
+// last Object, with field names as keys, sets fields by name.
+function applyStruct(field, args) {
+  var names = Object.keys(field.fields);
+  var values = args.slice();
+  var named = null;
+
+  this.push(field);
+
+  if (names.length > 1 && values.length &&
+      isFieldObject(field, values[values.length - 1])) {
+    named = values.pop();
+  }
+
+  if (names.length > 1 && values.length == 1 && Array.isArray(values[0])) {
+    values = values[0];
+  }
+
+  if (values.length == 1 && field.property) {
+    applyResult.call(this, field.fields[field.property], values[0]);
+  } else if (values.length > names.length) {
+    this.report(new RuntimeError(this, "Expected at most " + names.length +
+                                       " value(s), got " + values.length),
+                this.scopePath());
+  } else {
+    for (var i = 0; i < values.length; i++) {
+      if (typeof values[i] != "undefined") {
+        applyResult.call(this, field.fields[names[i]], values[i]);
+      }
+    }
+  }
+
+  if (named) {
+    validateObject.call(this, field, named);
+  }
+
+  if (typeof field.onenter == "function") {
+    field.onenter(this, this.currentResult);
+  }
+
+  this.pop();
+}
+
+
+// Returns true if `obj` is a plain Object with only field names, aliases
+// or namespaces of scope as keys.
+function isFieldObject(scope, obj) {
+  var known = {};
+  var field;
+
+  if (!obj || typeof obj != "object" || Array.isArray(obj) ||
+      obj instanceof Secret ||
+      Object.prototype.toString.call(obj) != "[object Object]") {
+    return false;
+  }
+
+  for (var name in scope.fields) {
+    field = scope.fields[name];
+    known[field.ns ? field.ns.split(".")[0] : name] = true;
+  }
+
+  return Object.keys(obj).every(function(key) {
+    return known[key] || key in scope.aliasNames;
+  });
+}
+
+
+// Warn if field is deprecated, or is set by one of its aliases
+function warnDeprecated(field, name) {
+  var fullname = field.ns ? field.ns + "." + field.name : field.name;
+  var path;
+
+  if (name == field.name && !field.deprecated) {
+    return;
+  }
+
+  path = fieldPath(this.scopePath(), field,
+                   lookupNamespace(this.currentResult, field.ns));
+
+  if (name != field.name) {
+    this.warn("Property '" + (field.ns ? field.ns + "." + name : name) +
+              "' is deprecated, use '" + fullname + "' instead", path);
+  }
+
+  if (field.deprecated) {
+    this.warn("Property '" + fullname + "' is deprecated" +
+              (typeof field.deprecated == "string"
+               ? ", " + field.deprecated
+               : ""), path);
+  }
+}
+
+
+// Get the field path of a field in `target`, with prefix. List fields
+// are suffixed with the index of next value, e.g. "deny[2]", or with
+// `index` if set. Map fields are suffixed with key `index`, if set.
+function fieldPath(prefix, field, target, index) {
+  var path = field.ns ? field.ns + "." + field.name : field.name;
+
+  if (prefix) {
+    path = prefix + "." + path;
+  }
+
+  if (field.map && typeof index == "string") {
+    path += "[" + JSON.stringify(index) + "]";
+  } else if (field.list && typeof index == "number") {
+    path += "[" + index + "]";
+  } else if (field.list && target) {
+    path += "[" + (Array.isArray(target[field.name])
+                   ? target[field.name].length
+                   : 0) + "]";
+  }
+
+  return path;
+}
+
+
+// Lookup namespace `expr` in target, without creating it
+function lookupNamespace(target, expr) {
+  var splitted = expr ? expr.split(".") : [];
+
+  while (target && splitted.length) {
+    target = target[splitted.shift()];
+  }
+
+  return target;
+}
+
+
+// Get the key of map section `scope` entry, or undefined if not set.
+// The default of the key field is used for entries that are not yet
+// completed.
+function mapKey(scope, entry) {
+  var field = scope.fields[scope.keyBy];
+  var target = lookupNamespace(entry, field.ns);
+  var key = target && typeof target == "object" ? target[scope.keyBy]
+                                                 : undefined;
+
+  if ((key === undefined || key === null) && scope.keyBy in scope.defaults) {
+    key = scope.defaults[scope.keyBy];
+  }
+
+  if (key instanceof Secret) {
+    key = key.reveal();
+  }
+
+  return key === undefined || key === null ? undefined : String(key);
+}
+
+
+// Validate value of field in target. Returns NIL if validation
+// failed and errors are collected.
+function validateField(field, value, target, prefix) {
+  try {
+    return validateValue.call(this, field, value);
+  } catch (validationError) {
+    prefix = typeof prefix == "undefined" ? this.scopePath() : prefix;
+    this.report(validationError, fieldPath(prefix, field, target));
+    return NIL;
+  }
+}
+
+
+// Apply result to current result set
 function applyResult(field, value) {
   var name = field.name;
   var result = this.currentResult;
   var index = !field.idxignore && this.currentIndex;
+  var trace = this.provenance && field.type != "section";
+  var prefix = trace ? this.scopePath() : null;
+  var values;
+  var validated;
+  var key;
+
+  if (typeof field.ns == "string") {
+    result = getNamespace(result, field.ns);
+  }
+
+  if (field.map) {
+
+    if (!(name in result)) {
+      result[name] = {};
+    }
+
+    validated = validateField.call(this, field, value, result);
+
+    if (validated === NIL) {
+      return NIL;
+    }
+
+    if ((key = mapKey(field, validated)) === undefined) {
+      this.report(new RuntimeError(this, "Key property '" + field.keyBy +
+                                         "' was not set."),
+                  fieldPath(this.scopePath(), field, null));
+      return NIL;
+    }
+
+    if (hasOwnProperty.call(result[name], key)) {
+      this.report(new RuntimeError(this, "Duplicate key '" + key + "'"),
+                  fieldPath(this.scopePath(), field, null, key));
+      return NIL;
+    }
+
+    result[name][key] = validated;
+    index && (index[index.length] = validated);
+
+  } else if (field.list) {
+
+    if (!(name in result)) {
+      result[name] = [];
+    }
+
+    values = Array.isArray(value) ? value : [value];
+
+    for (var i = 0; i < values.length; i++) {
+      validated = validateField.call(this, field, values[i], result);
+      if (validated !== NIL) {
+        trace && this.trace(fieldPath(prefix, field, result), "script");
+        result[name].push(validated);
+        index && (index[index.length] = validated);
+      }
+    }
+
+  } else if (field.overridable == false && (name in result)) {
+    this.report(new RuntimeError(this, "Expected one value only"),
+                fieldPath(this.scopePath(), field, result));
+    return NIL;
+  } else {
+    validated = validateField.call(this, field, value, result);
+    if (validated !== NIL) {
+      result[name] = validated;
+      // The path of a map entry changes when its key is set
+      trace && this.trace(fieldPath(this.scopePath(), field, null), "script");
+      index && (index[index.length] = validated);
+    }
+  }
+
+  return validated;
+}
+
+
+// End scope
+function endScope(scope, result, index, path) {
+  var entry;
+
+  if (!scope) {
+    throw new RuntimeError(this, "bad syntax, unexpected `end`");
+  }
+
+  // Merge into the map entry with the same key
+  if (scope.parent && scope.map && scope.duplicates == "merge" &&
+      (entry = mapEntry.call(this, scope, result))) {
+    if (scope.index) {
+      result[scope.index] = index;
+    }
+    mergeScope(scope, entry, result, path, path, this, this);
+    return;
+  }
+
+  // Entries of maps that merge duplicates are completed together with
+  // the parent scope, once all duplicates are merged.
+  if (!this.partial && !(scope.parent && scope.map &&
+                         scope.duplicates == "merge")) {
+    completeEntries.call(this, scope, result, path);
+    completeScope.call(this, scope, result, index, path);
+  }
+
+  if (scope.index) {
+    result[scope.index] = index;
+  }
+
+  if (scope.parent) {
+    applyResult.call(this, scope, result);
+  }
+}
+
+
+// Complete the entries of all map sections, in scope result, that merge
+// duplicates.
+function completeEntries(scope, result, path) {
+  var self = this;
+  var target;
+  var field;
+  var entries;
+
+  for (var name in scope.fields) {
+    field = scope.fields[name];
+    target = lookupNamespace(result, field.ns);
+
+    if (!field.map || field.duplicates != "merge" ||
+        !target || !target[name]) {
+      continue;
+    }
+
+    entries = target[name];
+
+    Object.keys(entries).forEach(function(key) {
+      var entry = entries[key];
+      var entryPath = fieldPath(path, field, null, key);
+      var index = field.index ? entry[field.index] : null;
+      completeEntries.call(self, field, entry, entryPath);
+      completeScope.call(self, field, entry, index, entryPath);
+    });
+  }
+}
+
+
+// Get the existing entry, in current result, with the same key as map
+// section entry `result`, if any.
+function mapEntry(scope, result) {
+  var target = lookupNamespace(this.currentResult, scope.ns);
+  var key = mapKey(scope, result);
+  var entries = target && target[scope.name];
+
+  if (key === undefined || !entries || !hasOwnProperty.call(entries, key)) {
+    return null;
+  }
+
+  return entries[key];
+}
+
+
+// Complete scope result with environment variables, defaults and
+// statics, and check requirements.
+function completeScope(scope, result, index, path) {
+  var self = this;
+  var target;
+  var validated;
+  var defvalue;
+  var keys;
+  var key;
+  var length;
+  var field;
+  var sub;
+
+  keys = Object.keys(scope.fields);
+  length = keys.length;
+
+  while (length--) {
+    key = keys[length];
+    field = scope.fields[key];
+    target = field.ns ? getNamespace(result, field.ns) : result;
+
+    applyEnvironment.call(this, field, target, path);
+    applyOverride.call(this, field, target, path);
+
+    if (!(key in target)) {
+      if (key in scope.defaults) {
+        if (field.list) {
+          target[key] = [];
+          if (Array.isArray(scope.defaults[key])) {
+            scope.defaults[key].forEach(function(val) {
+              var validated = validateField.call(self, field, val,
+                                                target, path);
+              if (validated !== NIL) {
+                self.trace(fieldPath(path, field, target), "default");
+                target[key].push(validated);
+                index && (index[index.length] = validated);
+              }
+            });
+          } else {
+            defvalue = scope.defaults[key];
+            validated = validateField.call(self, field, defvalue,
+                                           target, path);
+            if (validated !== NIL) {
+              self.trace(fieldPath(path, field, target), "default");
+              target[key].push(validated);
+            }
+          }
+        } else {
+          defvalue = scope.defaults[key];
+          validated = validateField.call(self, field, defvalue, target, path);
+          if (validated !== NIL) {
+            self.trace(fieldPath(path, field, null), "default");
+            target[key] = validated;
+          }
+        }
+      } else if (field.list && !field.required) {
+        target[key] = [];
+      } else if (field.map && !field.required) {
+        target[key] = {};
+      } else if ((field.type == "section" || field.type == "struct") &&
+                 (hasEnvironment.call(this, field) ||
+                  hasOverrides.call(this, fieldPath(path, field, null)))) {
+        // Sections that are not set by the script are still configured
+        // by bound environment variables and command-line overrides
+        target[key] = {};
+        sub = field.index ? [] : null;
+        completeScope.call(this, field, target[key], sub,
+                           fieldPath(path, field, null));
+        field.index && (target[key][field.index] = sub);
+      }
+    }
+  }
+
+  keys = Object.keys(scope.requirements);
+  length = keys.length;
+
+  while (length--) {
+    key = keys[length];
+    field = scope.requirements[key];
+    target = field.ns ? getNamespace(result, field.ns) : result;
+    if (!(key in target)) {
+      self.report(new RuntimeError(self, "Required property '" + key + "' "
+                                       + "was not set."),
+                  fieldPath(path, field, null));
+    }
+  }
+
+  keys = Object.keys(scope.statics);
+  length = keys.length;
+
+  while (length--) {
+    key = keys[length];
+    result[key] = scope.statics[key];
+    self.trace(path ? path + "." + key : key, "static");
+  }
+
+  checkConstraints.call(this, scope, result, path);
+}
+
+
+// Check the `requires`, `conflicts` and `oneOf` constraints of scope, and
+// run the `validate` hook, against a completed result.
+function checkConstraints(scope, result, path) {
+  var self = this;
+  var message;
+  var active;
+  var name;
+
+  function fullname(name) {
+    var field = scope.fields[name];
+    return field.ns ? field.ns + "." + name : name;
+  }
+
+  function isSet(name) {
+    var field = scope.fields[name];
+    var target = lookupNamespace(result, field.ns);
+    var value = target && typeof target == "object" ? target[name] : null;
+
+    if (Array.isArray(value) && field.list) {
+      return value.length > 0;
+    }
+
+    return value !== undefined && value !== null && value !== false;
+  }
+
+  function fail(message, name) {
+    self.report(new RuntimeError(self, message),
+                name ? fieldPath(path, scope.fields[name], null) : path);
+  }
+
+  for (name in scope.requires) {
+    if (isSet(name)) {
+      scope.requires[name].forEach(function(other) {
+        if (!isSet(other)) {
+          fail("Property '" + fullname(other) + "' is required when '" +
+               fullname(name) + "' is set", other);
+        }
+      });
+    }
+  }
+
+  for (name in scope.conflicts) {
+    if (isSet(name)) {
+      scope.conflicts[name].forEach(function(other) {
+        if (isSet(other)) {
+          fail("Property '" + fullname(other) + "' cannot be set together " +
+               "with '" + fullname(name) + "'", other);
+        }
+      });
+    }
+  }
+
+  (scope.oneOf || []).forEach(function(group) {
+    active = group.filter(isSet);
+    if (active.length != 1) {
+      fail((active.length ? "Only one" : "One") + " of '" +
+           group.map(fullname).join("', '") + "' must be set", null);
+    }
+  });
+
+  if (!scope.validator) {
+    return;
+  }
+
+  try {
+    message = scope.validator(result, this);
+  } catch (validateError) {
+    message = validateError && validateError.message || String(validateError);
+  }
+
+  if (typeof message == "string") {
+    fail(message, null);
+  }
+}
+
+
+// Complete all scopes in result, from the leaves up to the root. Used
+// to complete results that are merged from partial runs.
+function completeTree(scope, result, path) {
+  var self = this;
+  var target;
+  var field;
+  var sub;
+
+  for (var name in scope.fields) {
+    field = scope.fields[name];
+
+    if (field.type != "section" && field.type != "struct") {
+      continue;
+    }
+
+    target = lookupNamespace(result, field.ns);
+
+    if (!target || !(name in target)) {
+      continue;
+    }
+
+    if (field.list) {
+      target[name].forEach(function(entry, index) {
+        completeTree.call(self, field, entry,
+                          fieldPath(path, field, null, index));
+      });
+    } else if (field.map) {
+      sub = target[name];
+      Object.keys(sub).forEach(function(key) {
+        completeTree.call(self, field, sub[key],
+                          fieldPath(path, field, null, key));
+      });
+    } else {
+      completeTree.call(this, field, target[name],
+                        fieldPath(path, field, null));
+    }
+  }
+
+  if (scope.index && !Array.isArray(result[scope.index])) {
+    result[scope.index] = [];
+  }
+
+  completeScope.call(this, scope, result,
+                     scope.index ? result[scope.index] : null, path);
+}
+
+
+// Merge result `source` into `target`, by the field rules of scope.
+// Provenance, if any, is moved from the `from` runtime to `to`.
+function mergeScope(scope, target, source, tpath, spath, from, to) {
+  var field;
+  var name;
+  var dest;
+  var src;
+  var merge;
+
+  for (name in scope.fields) {
+    field = scope.fields[name];
+    src = lookupNamespace(source, field.ns);
+
+    if (!src || !(name in src)) {
+      continue;
+    }
+
+    dest = field.ns ? getNamespace(target, field.ns) : target;
+    merge = field.merge || "append";
+
+    if (field.list && merge == "append" && Array.isArray(dest[name])) {
+      src[name].forEach(function(value, index) {
+        var match = null;
+
+        if (field.type == "section" && field.property) {
+          dest[name].forEach(function(entry, idx) {
+            if (match == null &&
+                entry[field.property] === value[field.property]) {
+              match = idx;
+            }
+          });
+        }
+
+        if (match != null) {
+          mergeScope(field, dest[name][match], value,
+                     fieldPath(tpath, field, null, match),
+                     fieldPath(spath, field, null, index),
+                     from, to);
+        } else {
+          moveTrace(from, fieldPath(spath, field, null, index),
+                    to, fieldPath(tpath, field, dest));
+          dest[name].push(value);
+        }
+      });
+      continue;
+    }
+
+    if (field.map && merge == "append" &&
+        dest[name] && typeof dest[name] == "object") {
+      Object.keys(src[name]).forEach(function(key) {
+        if (hasOwnProperty.call(dest[name], key)) {
+          mergeScope(field, dest[name][key], src[name][key],
+                     fieldPath(tpath, field, null, key),
+                     fieldPath(spath, field, null, key),
+                     from, to);
+        } else {
+          moveTrace(from, fieldPath(spath, field, null, key),
+                    to, fieldPath(tpath, field, null, key));
+          dest[name][key] = src[name][key];
+        }
+      });
+      continue;
+    }
+
+    if (!field.list && (field.type == "section" || field.type == "struct") &&
+        dest[name] && typeof dest[name] == "object") {
+      mergeScope(field, dest[name], src[name],
+                 fieldPath(tpath, field, null),
+                 fieldPath(spath, field, null),
+                 from, to);
+      continue;
+    }
+
+    // Provenance is already in place when merging into the same path
+    if (from !== to || tpath !== spath) {
+      to.untrace(fieldPath(tpath, field, null));
+      moveTrace(from, fieldPath(spath, field, null),
+                to, fieldPath(tpath, field, null));
+    }
+    dest[name] = src[name];
+  }
+
+  if (scope.index && Array.isArray(source[scope.index])) {
+    target[scope.index] = (target[scope.index] || [])
+                          .concat(source[scope.index]);
+  }
+}
+
+
+// Move provenance of field `fromPath`, and its sub-fields, to `toPath`
+function moveTrace(from, fromPath, to, toPath) {
+  var key;
+
+  if (!from.provenance || !to.provenance) {
+    return;
+  }
+
+  for (key in from.provenance) {
+    if (key == fromPath || key.indexOf(fromPath + "[") == 0 ||
+        key.indexOf(fromPath + ".") == 0) {
+      to.provenance[toPath + key.substr(fromPath.length)] =
+        from.provenance[key];
+    }
+  }
+}
+
+
+// Apply environment variable bound to field, if set
+function applyEnvironment(field, target, prefix) {
+  var environment = this.environment || process.env;
+  var name = envName(field);
+  var key = field.name;
+  var holder = {};
+  var exists;
+  var values;
   var validated;
+  var value;
 
-  if (typeof field.ns == "string") {
-    result = getNamespace(result, field.ns);
+  if (!name || !(name in environment) ||
+      field.type == "section" || field.type == "struct") {
+    return;
+  }
+
+  exists = key in target;
+
+  if (exists && this.envPrecedence == "script") {
+    return;
+  }
+
+  try {
+    values = stringValue.call(this, field, String(environment[name]));
+  } catch (envError) {
+    this.report(envError, fieldPath(prefix, field, null));
+    return;
   }
 
   if (field.list) {
+    validated = holder[key] = [];
 
-    if (!(name in result)) {
-      result[name] = [];
+    this.untrace(fieldPath(prefix, field, null));
+
+    for (var i = 0; i < values.length; i++) {
+      value = validateField.call(this, field, values[i], holder, prefix);
+      if (value === NIL) {
+        return;
+      }
+      this.trace(fieldPath(prefix, field, holder), "env", name);
+      validated.push(value);
     }
 
-    if (Array.isArray(value)) {
-      for (var i = 0; i < value.length; i++) {
-        validated = validateValue.call(this, field, value[i]);
-        result[name].push(validated);
-        index && (index[index.length] = validated);
+  } else {
+    validated = validateField.call(this, field, values, null, prefix);
+
+    if (validated === NIL) {
+      return;
+    }
+
+    this.trace(fieldPath(prefix, field, null), "env", name);
+  }
+
+  if (exists) {
+    this.overrides.push({ path: fieldPath(prefix, field, null), env: name });
+  }
+
+  target[key] = validated;
+}
+
+
+// Returns true if an environment variable, bound to a field of non-list
+// section `scope` or any of its sub-sections, is set.
+function hasEnvironment(scope) {
+  var environment = this.environment || process.env;
+  var field;
+  var name;
+
+  if (scope.list || scope.map) {
+    return false;
+  }
+
+  for (var key in scope.fields) {
+    field = scope.fields[key];
+    if (field.type == "section" || field.type == "struct") {
+      if (hasEnvironment.call(this, field)) {
+        return true;
+      }
+    } else if ((name = envName(field)) && name in environment) {
+      return true;
+    }
+  }
+
+  return false;
+}
+
+
+// Get all fields of scope, that can be set with command-line arguments,
+// mapped by path. Fields in list sections cannot be set.
+function argFields(scope, prefix, chain) {
+  var fields = {};
+  var field;
+  var path;
+  var sub;
+
+  for (var name in scope.fields) {
+    field = scope.fields[name];
+    path = field.ns ? field.ns + "." + name : name;
+    path = prefix ? prefix + "." + path : path;
+
+    if (field.type == "section" || field.type == "struct") {
+      if (!field.list && !field.map) {
+        sub = argFields(field, path, chain.concat(field));
+        for (var key in sub) {
+          fields[key] = sub[key];
+        }
       }
+      continue;
+    }
+
+    fields[path] = { field: field,
+                     prefix: prefix,
+                     chain: chain.concat(field),
+                     defvalue: name in scope.defaults
+                               ? scope.defaults[name]
+                               : NIL };
+  }
+
+  return fields;
+}
+
+
+// Apply command-line override, from `parseArgs`, bound to field, if any.
+// Errors are labeled "argv", as the value is not set in a script.
+function applyOverride(field, target, prefix) {
+  var path = fieldPath(prefix, field, null);
+  var override = this.args && hasOwnProperty.call(this.args, path)
+                 ? this.args[path]
+                 : null;
+  var name = "--" + path;
+  var key = field.name;
+  var exists;
+  var values;
+  var validated;
+
+  if (!override) {
+    return;
+  }
+
+  exists = key in target;
+
+  try {
+    if (field.list) {
+      values = override.value.map(function(value) {
+        return stringValue.call(this, { type: field.type,
+                                        param: field.param },
+                                value);
+      }, this);
+      validated = values.map(function(value) {
+        return validateValue.call(this, field, value);
+      }, this);
     } else {
-      validated = validateValue.call(this, field, value);
-      result[name].push(validated);
-      index && (index[index.length] = validated);
+      values = stringValue.call(this, field, override.value);
+      validated = validateValue.call(this, field, values);
     }
+  } catch (argError) {
+    this.report(new RuntimeError(this, argError && argError.message ||
+                                       String(argError), "argv"),
+                path);
+    return;
+  }
 
-  } else if (field.overridable == false && (name in result)) {
-    throw new RuntimeError(this, "Expected one value only");
+  this.untrace(path);
+
+  if (field.list) {
+    for (var i = 0; i < validated.length; i++) {
+      this.trace(path + "[" + i + "]", "argv", name);
+    }
   } else {
-    validated = validateValue.call(this, field, value);
-    result[name] = validated
-    index && (index[index.length] = validated);
+    this.trace(path, "argv", name);
   }
 
-  return validated;
+  if (exists) {
+    this.overrides.push({ path: path, arg: name });
+  }
+
+  target[key] = validated;
 }
 
 
-// End scope
-function endScope(scope, result, index) {
-  var self = this;
+// Map command-line overrides, from `parseArgs`, by field path. Later
+// overrides of the same field replaces earlier ones.
+function argsMap(args) {
+  var overrides = Array.isArray(args) ? args : args.overrides;
+  var map = {};
+
+  overrides.forEach(function(override) {
+    map[override.path] = override;
+  });
+
+  return map;
+}
+
+
+// Returns true if a command-line override is set for a field of the
+// section with path `path`, or any of its sub-sections.
+function hasOverrides(path) {
+  for (var key in this.args) {
+    if (key.indexOf(path + ".") == 0) {
+      return true;
+    }
+  }
+  return false;
+}
+
+
+// Serialize scope result into lines of conf DSL
+function stringifyScope(scope, result, indent, lines, state) {
+  var known = {};
+  var field;
+  var fullname;
   var target;
+  var value;
+  var name;
+
+  for (name in scope.fields) {
+    field = scope.fields[name];
+    fullname = field.ns ? field.ns + "." + name : name;
+    target = lookupNamespace(result, field.ns);
+
+    known[field.ns ? field.ns.split(".")[0] : name] = true;
+
+    // The default property is set on the section line
+    if (name === scope.property || !target || !(name in target)) {
+      continue;
+    }
+
+    value = target[name];
+
+    if (field.type == "section" || field.type == "struct") {
+      (field.list ? value : field.map ? Object.keys(value).map(function(key) {
+        return value[key];
+      }) : [value]).forEach(function(entry) {
+        stringifySection(field, fullname, entry, indent, lines, state);
+      });
+      continue;
+    }
+
+    if (typeof value == "undefined" ||
+        (!state.defaults && isDefaultValue(scope, field, value, state))) {
+      continue;
+    }
+
+    if (field.list) {
+      value.forEach(function(item) {
+        lines.push(indent + fullname + " = " +
+                   stringifyValue(field, item, state));
+      });
+    } else {
+      lines.push(indent + fullname + " = " +
+                 stringifyValue(field, value, state));
+    }
+  }
+
+  for (name in scope.statics) {
+    known[name] = true;
+  }
+
+  if (scope.index) {
+    known[scope.index] = true;
+  }
+
+  for (name in result) {
+    if (!known[name]) {
+      throw new Error("Property '" + name + "' is not defined in section '" +
+                      scope.name + "'");
+    }
+  }
+}
+
+
+// Serialize a section, or struct, entry into lines of conf DSL
+function stringifySection(field, fullname, entry, indent, lines, state) {
+  var prop = field.property && field.fields[field.property];
+  var names = Object.keys(field.fields);
+  var values;
+
+  // Structs with several fields are written as a call, with the values
+  // in field order, e.g. 'listen("0.0.0.0", 80)'
+  if (field.type == "struct" && names.length > 1) {
+    values = names.map(function(name) {
+      var sub = field.fields[name];
+      var target = lookupNamespace(entry, sub.ns);
+      var value = target && typeof target == "object" ? target[name]
+                                                       : undefined;
+      if (typeof value == "undefined" ||
+          (!state.defaults && isDefaultValue(field, sub, value, state))) {
+        return "undefined";
+      }
+      return stringifyValue(sub, value, state);
+    });
+    while (values.length && values[values.length - 1] == "undefined") {
+      values.pop();
+    }
+    lines.push(indent + fullname + "(" + values.join(", ") + ")");
+    return;
+  }
+
+  if (prop && field.property in entry) {
+    lines.push(indent + fullname + " = " +
+               stringifyValue(prop, entry[field.property], state));
+  } else {
+    lines.push(indent + fullname);
+  }
+
+  if (field.type == "section") {
+    stringifyScope(field, entry, indent + state.indent, lines, state);
+    lines.push(indent + "end");
+  }
+}
+
+
+// Serialize a value of field into conf DSL. Byte sizes and time units
+// are written with suffix, if exact. Secrets are redacted, unless the
+// `revealSecrets` option is set.
+function stringifyValue(field, value, state) {
+
+  if (value instanceof Secret) {
+    if (!state.revealSecrets) {
+      return JSON.stringify(REDACTED);
+    }
+    value = value.reveal();
+  }
+
+  if (field.type == "bytesize" && typeof value == "number" && value > 0) {
+    return stringifyBytes(value * BYTE_UNITS[field.unit || "b"]);
+  }
+
+  if (field.type == "timeunit" && typeof value == "number" && value > 0) {
+    return stringifyDuration(value * TIME_UNITS[field.unit || "ms"]);
+  }
+
+  if (field.type == "address" && value && typeof value == "object") {
+    return JSON.stringify((isIP(value.host) == 6
+                           ? "[" + value.host + "]"
+                           : value.host) + ":" + value.port);
+  }
+
+  return formatValue(value);
+}
+
+
+// Serialize a number of bytes, with the largest unit that is exact
+function stringifyBytes(bytes) {
+  var units = ["tib", "gib", "mib", "kib", "tb", "gb", "mb", "kb", "b"];
+
+  for (var i = 0; i < units.length; i++) {
+    if (bytes % BYTE_UNITS[units[i]] === 0) {
+      return JSON.stringify(bytes / BYTE_UNITS[units[i]] + units[i]);
+    }
+  }
+
+  return JSON.stringify(roundUnit(bytes) + "b");
+}
+
+
+// Serialize a number of milliseconds as a compound duration, "1h30m"
+function stringifyDuration(ms) {
+  var units = ["w", "d", "h", "m", "s", "ms", "us"];
+  var rest = Math.round(ms * 1000);
+  var parts = [];
+  var size;
+
+  if (Math.abs(rest - ms * 1000) > 1e-6) {
+    return JSON.stringify(roundUnit(ms) + "ms");
+  }
+
+  units.forEach(function(unit) {
+    size = TIME_UNITS[unit] * 1000;
+    if (rest >= size) {
+      parts.push(Math.floor(rest / size) + unit);
+      rest = rest % size;
+    }
+  });
+
+  return JSON.stringify(parts.join(""));
+}
+
+
+// Returns true if value equals the (validated) default value of field
+function isDefaultValue(scope, field, value, state) {
   var defvalue;
+
+  if (!(field.name in scope.defaults)) {
+    return field.list && Array.isArray(value) && value.length == 0;
+  }
+
+  defvalue = scope.defaults[field.name];
+
+  // Comparing values must never touch the file system
+  field = withoutChecks(field);
+
+  try {
+    if (field.list) {
+      defvalue = (Array.isArray(defvalue) ? defvalue : [defvalue]).map(
+        function(value) {
+          return validateValue.call(state.runtime, field, value);
+        });
+    } else {
+      defvalue = validateValue.call(state.runtime, field, defvalue);
+    }
+  } catch (validationError) {
+    return false;
+  }
+
+  return isEqual(defvalue, value);
+}
+
+
+// Get field, and the members of union fields, without path checks
+function withoutChecks(field) {
+  if (field.type == "union") {
+    return Object.create(field, { members: {
+      value: field.members.map(withoutChecks) } });
+  }
+
+  return field.checks ? Object.create(field, { checks: { value: null } })
+                      : field;
+}
+
+
+// Deep equality of two values
+function isEqual(a, b) {
   var keys;
-  var key;
-  var length;
-  var field;
 
-  if (!scope) {
-    throw new RuntimeError(this, "bad syntax, unexpected `end`");
+  if (a === b) {
+    return true;
+  }
+
+  if (a && b && a.constructor === RegExp && b.constructor === RegExp) {
+    return a.toString() == b.toString();
+  }
+
+  if (a instanceof Secret && b instanceof Secret) {
+    return isEqual(a.reveal(), b.reveal());
+  }
+
+  if (!a || !b || typeof a != "object" || typeof b != "object" ||
+      Array.isArray(a) != Array.isArray(b)) {
+    return false;
+  }
+
+  keys = Object.keys(a);
+
+  if (keys.length != Object.keys(b).length) {
+    return false;
+  }
+
+  for (var i = 0; i < keys.length; i++) {
+    if (!(keys[i] in b) || !isEqual(a[keys[i]], b[keys[i]])) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+
+// Get a " did you mean" suggestion for name, among candidates
+function suggestion(prefix, name, candidates) {
+  var match = closestMatch(name, candidates);
+  return match != null ? ", did you mean '" + prefix + match + "'?" : "";
+}
+
+
+// Get the closest match of `str` among candidates, or null if no
+// candidate is close enough.
+function closestMatch(str, candidates) {
+  var best = null;
+  var bestDistance = Infinity;
+  var limit = Math.max(2, Math.floor(String(str).length / 3));
+  var distance;
+
+  candidates.forEach(function(candidate) {
+    distance = editDistance(String(str).toLowerCase(),
+                            String(candidate).toLowerCase());
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  });
+
+  return bestDistance <= limit ? best : null;
+}
+
+
+// Levenshtein distance between two strings
+function editDistance(a, b) {
+  var prev = [];
+  var curr;
+
+  for (var j = 0; j <= b.length; j++) {
+    prev[j] = j;
+  }
+
+  for (var i = 1; i <= a.length; i++) {
+    curr = [i];
+    for (j = 1; j <= b.length; j++) {
+      curr[j] = Math.min(prev[j] + 1,
+                         curr[j - 1] + 1,
+                         prev[j - 1] + (a[i - 1] == b[j - 1] ? 0 : 1));
+    }
+    prev = curr;
   }
 
-  keys = Object.keys(scope.fields);
-  length = keys.length;
+  return prev[b.length];
+}
 
-  while (length--) {
-    key = keys[length];
-    field = scope.fields[key];
-    target = field.ns ? getNamespace(result, field.ns) : result;
 
-    if (!(key in target)) {
-      if (key in scope.defaults) {
-        if (field.list) {
-          target[key] = [];
-          if (Array.isArray(scope.defaults[key])) {
-            scope.defaults[key].forEach(function(val) {
-              var validated = validateValue.call(self, field, val);
-              target[key].push(val);
-              index && (index[index.length] = val);
-            });
-          } else {
-            defvalue = scope.defaults[key];
-            target[key].push(validateValue.call(self, field, defvalue));
-          }
-        } else {
-          defvalue = scope.defaults[key];
-          target[key] = validateValue.call(self, field, defvalue);
-        }
-      } else if (field.list && !field.required) {
-        target[key] = [];
-      }
-    }
+// Get the name of the environment variable that is bound to field. Names
+// are generated from the field path, if context has an `envPrefix`.
+// Fields in list sections have no generated names.
+function envName(field) {
+  var root = field.root;
+  var names = [];
+  var current = field;
+
+  if (field.env) {
+    return field.env;
   }
 
-  keys = Object.keys(scope.requirements);
-  length = keys.length;
+  if (!root || !root.envPrefix) {
+    return null;
+  }
 
-  while (length--) {
-    key = keys[length];
-    field = scope.requirements[key];
-    target = field.ns ? getNamespace(result, field.ns) : result;
-    if (!(key in target)) {
-      throw new RuntimeError(self, "Required property '" + key + "'"
-                                 + "was not set.");
+  while (current && current.parent) {
+    if (current !== field && (current.list || current.map)) {
+      return null;
     }
+    names.unshift(current.ns ? current.ns + "." + current.name : current.name);
+    current = current.parent;
   }
 
-  keys = Object.keys(scope.statics);
-  length = keys.length;
+  return [root.envPrefix].concat(names).join("_")
+                         .toUpperCase()
+                         .replace(/[^A-Z0-9_]/g, "_");
+}
 
-  while (length--) {
-    key = keys[length];
-    result[key] = scope.statics[key];
-  }
 
-  if (scope.index) {
-    result[scope.index] = index;
+// Convert a string, from an environment variable or a command-line
+// argument, to a value suitable for field. Booleans and numbers are
+// parsed, lists are comma-separated.
+function stringValue(field, str) {
+  var self = this;
+  var values;
+
+  if (field.list) {
+    values = str.split(",").map(function(value) {
+      return value.trim();
+    }).filter(function(value) {
+      return value.length;
+    });
+    return values.map(function(value) {
+      return stringValue.call(self, { type: field.type, param: field.param },
+                              value);
+    });
   }
 
-  if (scope.parent) {
-    applyResult.call(this, scope, result);
+  switch (field.type) {
+
+    case "boolean":
+      if (/^(true|yes|on|1)$/i.test(str)) {
+        return true;
+      }
+      if (/^(false|no|off|0)$/i.test(str)) {
+        return false;
+      }
+      throw new RuntimeError(this, "Expected a Boolean");
+
+    case "number":
+    case "integer":
+    case "float":
+    case "port":
+      if (str.trim().length && !isNaN(Number(str))) {
+        return Number(str);
+      }
+      return str;
+
+    case "enum":
+      for (var i = 0; i < field.param.length; i++) {
+        if (String(field.param[i]) === str) {
+          return field.param[i];
+        }
+      }
+      return str;
   }
+
+  return str;
 }
 
 
@@ -861,105 +4064,496 @@ function getPropertyField(name, expr) {
   var onenter = null;
   var onexit = null;
   var ns = null;
+  var description = null;
+  var example = NIL;
+  var env = null;
+  var merge = null;
+  var range = null;
+  var min = null;
+  var max = null;
+  var step = null;
+  var ignoreCase = false;
+  var valueAliases = null;
+  var protocols = null;
+  var unit = null;
+  var checks = null;
+  var secret = false;
+  var aliases = [];
+  var deprecated = null;
+  var requires = null;
+  var conflicts = null;
+  var oneOf = null;
+  var validator = null;
+  var map = false;
+  var keyBy = null;
+  var duplicates = null;
   var ctor;
   var i;
 
-  if (typeof expr == "undefined" || expr == null) {
-    return null;
+  if (typeof expr == "undefined" || expr == null) {
+    return null;
+  }
+
+  if (Array.isArray(expr)) {
+    if (typeof expr[0] === "string") {
+      type = expr[0].toLowerCase();
+      required = REQUIRED_RE.test(expr[0]) && true || false;
+    } else if (expr[0].constructor === RegExp) {
+      type = "expression";
+      param = expr[0];
+    } else if ((i = NATIVE_TYPE_MAPPING.indexOf(expr[0])) != -1) {
+      type = NATIVE_TYPE_MAPPING[i + 1];
+    } else if (typeof expr[0] == "function") {
+      type = "custom";
+      param = epxr[0];
+    }
+    if (expr.length > 1) {
+      value = expr[1];
+    }
+    list = true;
+  } else if (expr.constructor === RegExp) {
+    type = "expression";
+    param = expr;
+  } else if (typeof expr === "string") {
+    type = expr.toLowerCase();
+    required = REQUIRED_RE.test(expr) && true || false;
+  } else if ((i = NATIVE_TYPE_MAPPING.indexOf(expr)) != -1) {
+    type = NATIVE_TYPE_MAPPING[i + 1];
+  } else if (typeof expr == "function") {
+    type = "custom";
+    param = expr;
+  } else {
+    if (typeof expr.type === "string") {
+      type = expr.type.toLowerCase();
+      required = REQUIRED_RE.test(expr.type) && true || false;
+    } else if (expr.type && expr.type.constructor === RegExp) {
+      type = "expression";
+      param = expr.type;
+    } else if ((i = NATIVE_TYPE_MAPPING.indexOf(expr.type)) != -1) {
+      type = NATIVE_TYPE_MAPPING[i + 1];
+    } else if (expr.section) {
+      type = "section";
+      property = expr.property;
+      param = expr.section;
+      index = expr.index;
+    } else if (expr.struct) {
+      type = "struct";
+      property = expr.property;
+      param = expr.struct;
+    } else if (Array.isArray(expr["enum"])) {
+      type = "enum";
+      param = expr["enum"];
+    } else if (Array.isArray(expr.type) || Array.isArray(expr.anyOf)) {
+      type = "union";
+      param = expr.type || expr.anyOf;
+    } else if (expr.type && typeof expr.type == "function") {
+      type = "custom";
+      param = expr.type;
+    }
+    required = expr.required || (REQUIRED_RE.test(expr) && true || false);
+    // value = "value" in expr && expr.value || NIL;
+
+    if ("value" in expr) {
+      value = expr.value;
+    } else {
+      value = NIL;
+    }
+    list = expr.list || false;
+    param = param && param || expr.param;
+    index = index && index || expr.index;
+    strict = expr.strict || false;
+    idxignore = expr.idxignore || false;
+    overridable = expr.overridable || false;
+    onenter = expr.onenter || null;
+    onexit = expr.onexit || null;
+    ns = expr.ns || null;
+    description = expr.description || null;
+    env = expr.env || null;
+    merge = expr.merge || null;
+    min = "min" in expr ? expr.min : null;
+    max = "max" in expr ? expr.max : null;
+    step = "step" in expr ? expr.step : null;
+    ignoreCase = expr.ignoreCase || false;
+    valueAliases = expr.valueAliases || null;
+    protocols = expr.protocols || null;
+    unit = expr.unit || null;
+    checks = getPathChecks(name, type, expr);
+    secret = expr.secret || false;
+    aliases = expr.aliases || [];
+    deprecated = expr.deprecated || null;
+    requires = expr.requires || null;
+    conflicts = expr.conflicts || null;
+    oneOf = expr.oneOf || null;
+    validator = expr.validate || null;
+    keyBy = expr.keyBy || null;
+    map = expr.map || !!keyBy;
+    duplicates = expr.duplicates || null;
+    example = "example" in expr ? expr.example : NIL;
+  }
+
+  if (PROPERTY_TYPES.indexOf(type) == -1) {
+    throw new Error("Property '" + name + "', unknown field type: " + type);
+  }
+
+  if (unit && !(type == "bytesize" && unit in BYTE_UNITS ||
+               type == "timeunit" && unit in TIME_UNITS)) {
+    throw new Error("Property '" + name + "', unknown unit '" + unit +
+                    "' for type " + type);
+  }
+
+  range = getRange(name, type, unit, { min: min, max: max, step: step });
+
+  return {name: name,
+          type: type,
+          property: property,
+          list: list,
+          required: required,
+          param: param,
+          strict: strict,
+          value: value,
+          idxignore: idxignore,
+          overridable: overridable,
+          index: index,
+          ns: ns,
+          onenter: onenter,
+          onexit: onexit,
+          description: description,
+          example: example,
+          env: env,
+          merge: merge,
+          min: min,
+          max: max,
+          step: step,
+          range: range,
+          ignoreCase: ignoreCase,
+          valueAliases: valueAliases,
+          protocols: protocols,
+          unit: unit,
+          checks: checks,
+          secret: secret,
+          aliases: aliases,
+          deprecated: deprecated,
+          requires: requires,
+          conflicts: conflicts,
+          oneOf: oneOf,
+          validator: validator,
+          map: map,
+          keyBy: map ? keyBy || property : null,
+          duplicates: duplicates };
+}
+
+
+// Validate value against struct
+function validateValue(field, value) {
+  var validated;
+
+  if (value instanceof Secret) {
+    value = value.reveal();
+  }
+
+  try {
+    validated = convertValue.call(this, field, value);
+  } catch (validationError) {
+    // Never leak the value of a secret field in error messages. Messages
+    // may contain any part of the value, so none of them are kept.
+    if (field.secret) {
+      validationError.message = "Bad value " + REDACTED;
+    }
+    throw validationError;
+  }
+
+  try {
+    if (field.range) {
+      checkRange.call(this, field, validated);
+    }
+  } catch (rangeError) {
+    if (field.secret) {
+      rangeError.message = "Value " + REDACTED + " is out of range";
+    }
+    throw rangeError;
+  }
+
+  return field.secret ? new Secret(validated) : validated;
+}
+
+
+// Get the `exists`, `kind`, `readable`, `writable`, `create` and `within`
+// checks of a path field, or null if the field has no checks.
+function getPathChecks(name, type, expr) {
+  var checks = {
+    exists: expr.exists || false,
+    kind: expr.kind || null,
+    readable: expr.readable || false,
+    writable: expr.writable || false,
+    create: expr.create || false,
+    within: expr.within || null
+  };
+
+  if (!checks.exists && !checks.kind && !checks.readable &&
+      !checks.writable && !checks.create && !checks.within) {
+    return null;
+  }
+
+  if (type != "path") {
+    throw new Error("Property '" + name + "', `exists`, `kind`, `readable`, " +
+                    "`writable`, `create` and `within` is only supported " +
+                    "by type path");
+  }
+
+  if (checks.kind && !PATH_KIND_RE.test(checks.kind)) {
+    throw new Error("Property '" + name + "', expected `kind` to be " +
+                    "'file' or 'dir'");
+  }
+
+  if (checks.within && typeof checks.within != "string") {
+    throw new Error("Property '" + name + "', expected a string value " +
+                    "for `within`");
+  }
+
+  return checks;
+}
+
+
+// Check that the values and value aliases of an enum field are valid
+function checkEnum(name, field) {
+  var values = field.param;
+  var aliases = field.valueAliases || {};
+
+  if (!Array.isArray(values) || !values.length) {
+    throw new Error("Property '" + name + "', expected a non-empty array " +
+                    "of values for enum.");
+  }
+
+  values.forEach(function(value) {
+    if (value !== null && typeof value == "object" ||
+        typeof value == "function") {
+      throw new Error("Property '" + name + "', enum values must be " +
+                      "primitives.");
+    }
+  });
+
+  for (var alias in aliases) {
+    if (values.indexOf(aliases[alias]) == -1) {
+      throw new Error("Property '" + name + "', value alias '" + alias +
+                      "' maps to unknown value " + formatValue(aliases[alias]));
+    }
+  }
+}
+
+
+// Get the allowed value of an enum field that matches value. Values
+// are matched case-insensitive if `ignoreCase` is set, and aliases in
+// `valueAliases` are mapped to their allowed value.
+function enumValue(field, value, strict) {
+  var values = field.param;
+  var aliases = field.valueAliases || {};
+  var names = Object.keys(aliases);
+  var hint;
+  var i;
+
+  function equals(candidate) {
+    var a = candidate;
+    var b = value;
+
+    if (a === b) {
+      return true;
+    }
+
+    if ((strict && typeof a != typeof b) ||
+        (b !== null && typeof b == "object")) {
+      return false;
+    }
+
+    a = String(a);
+    b = String(b);
+
+    if (field.ignoreCase) {
+      a = a.toLowerCase();
+      b = b.toLowerCase();
+    }
+
+    return a === b;
+  }
+
+  for (i = 0; i < values.length; i++) {
+    if (equals(values[i])) {
+      return values[i];
+    }
+  }
+
+  for (i = 0; i < names.length; i++) {
+    if (equals(names[i])) {
+      return aliases[names[i]];
+    }
+  }
+
+  hint = typeof value == "string"
+         ? suggestion("", value, values.concat(names))
+         : "";
+
+  throw new RuntimeError(this, "Bad value " + formatValue(value) +
+                               ", expected one of " +
+                               values.map(formatValue).join(", ") + hint);
+}
+
+
+// Get the value of the first union member that accepts value. All
+// members are tried strictly first, and then in non-strict mode, so
+// that e.g. `false` matches a boolean before it's converted to a path.
+function unionValue(field, value, strict) {
+  var failures;
+  var modes = strict ? [true] : [true, false];
+
+  for (var m = 0; m < modes.length; m++) {
+    failures = [];
+    for (var i = 0; i < field.members.length; i++) {
+      try {
+        return memberValue.call(this, field.members[i], value, modes[m]);
+      } catch (memberError) {
+        failures.push(memberLabel(field.members[i]) + ": " +
+                      memberError.message);
+      }
+    }
+  }
+
+  throw new RuntimeError(this, "Expected " +
+                               field.members.map(memberLabel).join(" or ") +
+                               " (" + failures.join("; ") + ")");
+}
+
+
+// Validate value against a union member, in strict or non-strict mode
+function memberValue(member, value, strict) {
+  var field = Object.create(member, { strict: { value: strict } });
+
+  if (member.type == "section" || member.type == "struct") {
+    return sectionValue.call(this, member, value);
+  }
+
+  return validateValue.call(this, field, value);
+}
+
+
+// Validate an object against a section union member. Errors are thrown,
+// instead of collected, so that the next member can be tried.
+function sectionValue(member, value) {
+  var scope = Object.create(member, { parent: { value: null } });
+  var saved;
+
+  if (!value || typeof value != "object" || Array.isArray(value)) {
+    throw new RuntimeError(this, "Expected an Object");
+  }
+
+  if (!(this instanceof Runtime)) {
+    throw new RuntimeError(this, "Expected a runtime");
+  }
+
+  saved = { errors: this.errors,
+            scope: this.currentScope,
+            result: this.currentResult,
+            index: this.currentIndex,
+            depth: this.scopeStack.length };
+
+  this.errors = null;
+
+  try {
+    this.push(scope);
+    validateObject.call(this, scope, value);
+    return this.pop();
+  } catch (sectionError) {
+    this.scopeStack.length = saved.depth;
+    this.resultStack.length = saved.depth;
+    this.indexStack.length = saved.depth;
+    this.currentScope = saved.scope;
+    this.currentResult = saved.result;
+    this.currentIndex = saved.index;
+    throw sectionError;
+  } finally {
+    this.errors = saved.errors;
+  }
+}
+
+
+// Get a short description of a union member, e.g. "number" or "/^auto$/"
+function memberLabel(member) {
+  switch (member.type) {
+    case "expression": return member.param.toString();
+    case "enum": return member.param.map(formatValue).join(" or ");
+  }
+  return member.type;
+}
+
+
+// Check that a numeric value is within the `min`, `max` and `step`
+// bounds of field.
+function checkRange(field, value) {
+  var range = field.range;
+  var base;
+  var steps;
+
+  if (typeof value != "number") {
+    return;
   }
 
-  if (Array.isArray(expr)) {
-    if (typeof expr[0] === "string") {
-      type = expr[0].toLowerCase();
-      required = REQUIRED_RE.test(expr[0]) && true || false;
-    } else if (expr[0].constructor === RegExp) {
-      type = "expression";
-      param = expr[0];
-    } else if ((i = NATIVE_TYPE_MAPPING.indexOf(expr[0])) != -1) {
-      type = NATIVE_TYPE_MAPPING[i + 1];
-    } else if (typeof expr[0] == "function") {
-      type = "custom";
-      param = epxr[0];
-    }
-    if (expr.length > 1) {
-      value = expr[1];
-    }
-    list = true;
-  } else if (expr.constructor === RegExp) {
-    type = "expression";
-    param = expr;
-  } else if (typeof expr === "string") {
-    type = expr.toLowerCase();
-    required = REQUIRED_RE.test(expr) && true || false;
-  } else if ((i = NATIVE_TYPE_MAPPING.indexOf(expr)) != -1) {
-    type = NATIVE_TYPE_MAPPING[i + 1];
-  } else if (typeof expr == "function") {
-    type = "custom";
-    param = expr;
-  } else {
-    if (typeof expr.type === "string") {
-      type = expr.type.toLowerCase();
-      required = REQUIRED_RE.test(expr.type) && true || false;
-    } else if (expr.type && expr.type.constructor === RegExp) {
-      type = "expression";
-      param = expr.type;
-    } else if ((i = NATIVE_TYPE_MAPPING.indexOf(expr.type)) != -1) {
-      type = NATIVE_TYPE_MAPPING[i + 1];
-    } else if (expr.section) {
-      type = "section";
-      property = expr.property;
-      param = expr.section;
-      index = expr.index;
-    } else if (expr.struct) {
-      type = "struct";
-      property = expr.property;
-      param = expr.struct;
-    } else if (expr.type && typeof expr.type == "function") {
-      type = "custom";
-      param = expr.type;
-    }
-    required = expr.required || (REQUIRED_RE.test(expr) && true || false);
-    // value = "value" in expr && expr.value || NIL;
+  if (range.min != null && value < range.min) {
+    throw new RuntimeError(this, "Value " + value + " is less than min " +
+                                 String(field.min));
+  }
 
-    if ("value" in expr) {
-      value = expr.value;
-    } else {
-      value = NIL;
+  if (range.max != null && value > range.max) {
+    throw new RuntimeError(this, "Value " + value + " is greater than max " +
+                                 String(field.max));
+  }
+
+  if (range.step != null) {
+    base = range.min != null ? range.min : 0;
+    steps = (value - base) / range.step;
+    if (Math.abs(steps - Math.round(steps)) > 1e-9) {
+      throw new RuntimeError(this, "Value " + value + " is not a multiple " +
+                                   "of step " + String(field.step));
     }
-    list = expr.list || false;
-    param = param && param || expr.param;
-    index = index && index || expr.index;
-    strict = expr.strict || false;
-    idxignore = expr.idxignore || false;
-    overridable = expr.overridable || false;
-    onenter = expr.onenter || null;
-    onexit = expr.onexit || null;
-    ns = expr.ns || null;
   }
+}
 
-  if (PROPERTY_TYPES.indexOf(type) == -1) {
-    throw new Error("Property '" + name + "', unknown field type: " + type);
+
+// Get the numeric `min`, `max` and `step` bounds of field, or null
+// if the field has no bounds.
+function getRange(name, type, unit, expr) {
+  var range = {};
+  var fakefield = { type: type, strict: false, unit: unit };
+
+  if (expr.min == null && expr.max == null && expr.step == null) {
+    return null;
   }
 
-  return {name: name,
-          type: type,
-          property: property,
-          list: list,
-          required: required,
-          param: param,
-          strict: strict,
-          value: value,
-          idxignore: idxignore,
-          overridable: overridable,
-          index: index,
-          ns: ns,
-          onenter: onenter,
-          onexit: onexit };
+  if (!RANGE_TYPES_RE.test(type)) {
+    throw new Error("Property '" + name + "', `min`, `max` and `step` is " +
+                    "not supported by type " + type);
+  }
+
+  ["min", "max", "step"].forEach(function(key) {
+    if (expr[key] == null) {
+      range[key] = null;
+      return;
+    }
+    try {
+      range[key] = convertValue.call(null, fakefield, expr[key]);
+    } catch (convertError) {
+      throw new Error("Property '" + name + "', bad `" + key + "` value '" +
+                      expr[key] + "'");
+    }
+  });
+
+  if (range.step != null && !(range.step > 0)) {
+    throw new Error("Property '" + name + "', `step` must be greater than 0");
+  }
+
+  return range;
 }
 
 
-// Validate value against struct
-function validateValue(field, value) {
+// Convert a value to type of field
+function convertValue(field, value) {
   var strict = this.strict || field.strict;
   var workdir = this.workdir;
 
@@ -989,18 +4583,28 @@ function validateValue(field, value) {
       break;
 
     case "number":
+    case "float":
       if (typeof value == "number") {
         return value;
       } else if (strict) {
         throw new RuntimeError(this, "Expected a Number");
       } else {
-        if (isNaN(value = parseInt(value))) {
+        if (isNaN(value = toNumber(value))) {
           throw new RuntimeError(this, "Expected a Number");
         }
         return value;
       }
       break;
 
+    case "integer":
+      if (typeof value != "number" && !strict) {
+        value = toNumber(value);
+      }
+      if (typeof value != "number" || value % 1 !== 0) {
+        throw new RuntimeError(this, "Expected an Integer");
+      }
+      return value;
+
     case "array":
       if (Array.isArray(value)) {
         return value;
@@ -1037,12 +4641,18 @@ function validateValue(field, value) {
       }
       break;
 
+    case "enum":
+      return enumValue.call(this, field, value, strict);
+
+    case "union":
+      return unionValue.call(this, field, value, strict);
+
     case "expression":
       if (!field.param) {
         return NIL;
       }
       if (typeof value == "string") {
-        if (field.param(value) == null) {
+        if (field.param.exec(value) == null) {
           throw new RuntimeError(this, "Bad value '" + value + "'");
         } else {
           return value;
@@ -1051,7 +4661,7 @@ function validateValue(field, value) {
         throw new RuntimeError(this, "Expected a String");
       } else {
         value = value.toString();
-        if (field.param(value) == null) {
+        if (field.param.exec(value) == null) {
           throw new RuntimeError(this, "Bad value '" + value + "'");
         } else {
           return value;
@@ -1060,36 +4670,74 @@ function validateValue(field, value) {
       break;
 
     case "path":
-      if (typeof value == "string") {
-        return resolvePath(value, workdir);
-      } else if (strict) {
-        throw new RuntimeError(this, "Expected a path");
-      } else {
-        return resolvePath(value.toString(), workdir);
+      if (typeof value != "string") {
+        if (strict) {
+          throw new RuntimeError(this, "Expected a path");
+        }
+        value = value.toString();
       }
-      break;
+      value = resolvePath(value, workdir, this.paths);
+      if (field.checks) {
+        checkPath.call(this, field.checks, value);
+      }
+      return value;
 
     case "bytesize":
       if (typeof value == "number") {
-        return parseInt(value);
+        return value;
       } else if (typeof value == "string") {
-        return getBytes.call(this, value);
+        return getBytes.call(this, value, field.unit);
       } else if (strict) {
         throw new RuntimeError(this, "Expected String or Number");
       } else {
-        return getBytes.call(this, value.toString());
+        return getBytes.call(this, value.toString(), field.unit);
       }
       break;
 
     case "timeunit":
       if (typeof value == "number") {
-        return parseInt(value);
+        return value;
       } else if (typeof value == "string") {
-        return getMilliseconds.call(this, value);
+        return getMilliseconds.call(this, value, field.unit);
       } else if (strict) {
         throw new RuntimeError(this, "Expected String or Number");
       } else {
-        return getMilliseconds.call(this, value.toString());
+        return getMilliseconds.call(this, value.toString(), field.unit);
+      }
+      break;
+
+    case "port":
+      if (typeof value != "number" && !strict) {
+        value = toNumber(value);
+      }
+      if (typeof value != "number" || isNaN(value)) {
+        throw new RuntimeError(this, "Expected a Port");
+      }
+      return getPort.call(this, value);
+
+    case "ipv4":
+    case "ipv6":
+    case "ip":
+    case "cidr":
+    case "hostname":
+    case "url":
+      if (typeof value != "string") {
+        if (strict) {
+          throw new RuntimeError(this, "Expected a String");
+        }
+        value = value.toString();
+      }
+      return getNetworkValue.call(this, field, value);
+
+    case "address":
+      if (value && typeof value == "object" && "port" in value) {
+        return getAddress.call(this, value.host, value.port);
+      } else if (typeof value == "string") {
+        return parseAddress.call(this, value);
+      } else if (strict) {
+        throw new RuntimeError(this, "Expected an Address");
+      } else {
+        return parseAddress.call(this, value.toString());
       }
       break;
 
@@ -1101,53 +4749,314 @@ function validateValue(field, value) {
   return value;
 }
 
-function getBytes(expr) {
-  var m  = BYTESIZE_RE.exec(expr);
+
+// Validate a port number
+function getPort(value) {
+  if (value % 1 !== 0 || value < 0 || value > 65535) {
+    throw new RuntimeError(this, "Bad port " + value + ", expected an " +
+                                 "integer between 0 and 65535");
+  }
+  return value;
+}
+
+
+// Validate a string value of a network type (ipv4, ipv6, ip, cidr,
+// hostname or url).
+function getNetworkValue(field, value) {
+  var parts;
+  var version;
+  var protocol;
+
+  switch (field.type) {
+
+    case "ipv4":
+      if (isIP(value) != 4) {
+        throw new RuntimeError(this, "Bad IPv4 address '" + value + "'");
+      }
+      break;
+
+    case "ipv6":
+      if (isIP(value) != 6) {
+        throw new RuntimeError(this, "Bad IPv6 address '" + value + "'");
+      }
+      break;
+
+    case "ip":
+      if (!isIP(value)) {
+        throw new RuntimeError(this, "Bad IP address '" + value + "'");
+      }
+      break;
+
+    case "cidr":
+      parts = value.split("/");
+      version = isIP(parts[0]);
+      if (parts.length != 2 || !version || !/^\d+$/.test(parts[1]) ||
+          Number(parts[1]) > (version == 4 ? 32 : 128)) {
+        throw new RuntimeError(this, "Bad CIDR block '" + value + "'");
+      }
+      break;
+
+    case "hostname":
+      if (!isHostname(value)) {
+        throw new RuntimeError(this, "Bad hostname '" + value + "'");
+      }
+      break;
+
+    case "url":
+      parts = parseURL(value);
+      if (!parts.protocol || !parts.slashes || !parts.hostname) {
+        throw new RuntimeError(this, "Bad URL '" + value + "'");
+      }
+      protocol = parts.protocol.slice(0, -1).toLowerCase();
+      if (field.protocols && field.protocols.indexOf(protocol) == -1) {
+        throw new RuntimeError(this, "Protocol '" + protocol + "' is not " +
+                                     "allowed, expected one of " +
+                                     field.protocols.join(", "));
+      }
+      break;
+  }
+
+  return value;
+}
+
+
+// Returns true if value is a valid hostname
+function isHostname(value) {
+  var name = value.replace(/\.$/, "");
+
+  if (!name.length || name.length > 253) {
+    return false;
+  }
+
+  return name.split(".").every(function(label) {
+    return HOSTNAME_LABEL_RE.test(label);
+  });
+}
+
+
+// Parse an address expression, "host:port" or "[ipv6]:port", into
+// an object with `host` and `port`.
+function parseAddress(expr) {
+  var m = ADDRESS_RE.exec(expr);
 
   if (!m) {
+    throw new RuntimeError(this, "Bad address '" + expr + "', expected " +
+                                 "'host:port'");
+  }
+
+  if (m[1] && isIP(m[1]) != 6) {
+    throw new RuntimeError(this, "Bad IPv6 address '" + m[1] + "'");
+  }
+
+  return getAddress.call(this, m[1] || m[2], Number(m[3]));
+}
+
+
+// Validate the host and port of an address
+function getAddress(host, port) {
+
+  if (typeof host != "string" ||
+      (!isIP(host) && !isHostname(host))) {
+    throw new RuntimeError(this, "Bad host '" + host + "'");
+  }
+
+  if (typeof port != "number") {
+    throw new RuntimeError(this, "Expected a Port");
+  }
+
+  return { host: host, port: getPort.call(this, port) };
+}
+
+// Convert string value to a number. Returns NaN if the string is
+// not a number.
+function toNumber(value) {
+  if (typeof value != "string" || !value.trim().length) {
+    return NaN;
+  }
+  return Number(value);
+}
+
+// Get the size of a bytesize expression, in `unit` (default bytes).
+// Numbers without suffix are already in `unit`.
+function getBytes(expr, unit) {
+  var m  = BYTESIZE_RE.exec(expr);
+  var factor = BYTE_UNITS[unit || "b"];
+
+  if (!m || isNaN(m[1])) {
     throw new RuntimeError(this, "Invalid bytesize expression");
   }
 
-  if (m[2]) {
-    switch (m[2]) {
-      case "b": return parseInt(m[1]);
-      case "kb": return parseFloat(m[1]) * 1024;
-      case "mb": return parseFloat(m[1]) * 1024 * 1024;
-      case "gb": return parseFloat(m[1]) * 1024 * 1024 * 1024;
-    }
+  if (!m[2]) {
+    return Number(m[1]);
   }
 
-  return parseInt(m[3]);
+  return roundUnit(Number(m[1]) * BYTE_UNITS[m[2].toLowerCase()] / factor);
 }
 
-function getMilliseconds(expr) {
-  var m  = TIMEUNIT_RE.exec(expr);
+// Get the duration of a timeunit expression, in `unit` (default
+// milliseconds). Numbers without suffix are already in `unit`. Compound
+// expressions, "1h30m", and ISO-8601 durations, "PT1H30M", are summed.
+function getMilliseconds(expr, unit) {
+  var factor = TIME_UNITS[unit || "ms"];
+  var total = 0;
+  var m;
 
-  if (!m) {
-    throw new RuntimeError(this, "Invalid timeunit expression");
+  if ((m = ISO_DURATION_RE.exec(expr)) && /\d/.test(expr)) {
+    ["w", "d", "h", "m", "s"].forEach(function(name, i) {
+      total += m[i + 1] ? Number(m[i + 1]) * TIME_UNITS[name] : 0;
+    });
+  } else if (TIMEUNIT_RE.test(expr) && !/[a-z]/i.test(expr)) {
+    total = Number(expr) * factor;
+  } else if (TIMEUNIT_RE.test(expr)) {
+    expr.replace(TIMEUNIT_PART_RE, function(part, value, name) {
+      total += Number(value) * TIME_UNITS[name.toLowerCase()];
+      return "";
+    });
+  } else {
+    total = NaN;
   }
 
-  if (m[2]) {
-    switch (m[2]) {
-      case "ms": return parseInt(m[1]);
-      case "s": return parseFloat(m[1]) * 1000;
-      case "m": return parseFloat(m[1]) * 1000 * 60;
-      case "h": return parseFloat(m[1]) * 1000 * 60 * 60;
-      case "d": return parseFloat(m[1]) * 1000 * 60 * 60 * 24;
-    }
+  if (isNaN(total)) {
+    throw new RuntimeError(this, "Invalid timeunit expression");
   }
 
-  return parseInt(m[3]);
+  return roundUnit(total / factor);
+}
+
+// Strip floating point noise from a unit conversion, e.g.
+// 1.1 * 1000 == 1100.0000000000002
+function roundUnit(value) {
+  return Number(value.toPrecision(15));
 }
 
-// Resolve path to file
-function resolvePath(path, workdir) {
+// Resolve path to file. Paths that isn't absolute or relative to
+// workdir are searched for in `paths`, and returned as is if not found.
+function resolvePath(path, workdir, paths) {
+  var newpath;
+
   switch (path[0]) {
-    default:
     case "/": return path;
     case "~": return join(process.env["HOME"], path.substr(1));
     case ".": return join(workdir, path);
   }
+
+  for (var i = 0, l = paths && paths.length || 0; i < l; i++) {
+    newpath = join(paths[i], path);
+    if (getStat(newpath)) {
+      return newpath;
+    }
+  }
+
+  return path;
+}
+
+
+// Get the stats of path, or null if the path does not exist
+function getStat(path) {
+  try {
+    return statSync(path);
+  } catch (statError) {
+    return null;
+  }
+}
+
+
+// Check a resolved path against the checks of a path field
+function checkPath(checks, path) {
+  var stat;
+  var root;
+  var real;
+
+  if (checks.within) {
+    root = resolve(this.workdir || ".",
+                   resolvePath(checks.within, this.workdir, null));
+    root = getStat(root) ? realpathSync(root) : root;
+    real = realPath(path);
+    if (real != root && real.indexOf(root.replace(/\/$/, "") + sep) != 0) {
+      throw new RuntimeError(this, "Path '" + path + "' is outside of '" +
+                                   root + "'");
+    }
+  }
+
+  if (checks.create && !getStat(path)) {
+    try {
+      makeDirectory(checks.kind == "file" ? dirname(path) : path);
+    } catch (createError) {
+      throw new RuntimeError(this, "Unable to create directory for '" +
+                                   path + "', " + createError.message);
+    }
+  }
+
+  if (!(stat = getStat(path))) {
+    if (checks.exists || checks.readable) {
+      throw new RuntimeError(this, "Path '" + path + "' does not exist");
+    }
+    if (checks.writable && !isAccessible(dirname(path), FS_CONSTANTS.W_OK)) {
+      throw new RuntimeError(this, "Path '" + path + "' is not writable");
+    }
+    return;
+  }
+
+  if (checks.kind == "file" && !stat.isFile()) {
+    throw new RuntimeError(this, "Path '" + path + "' is not a file");
+  }
+
+  if (checks.kind == "dir" && !stat.isDirectory()) {
+    throw new RuntimeError(this, "Path '" + path + "' is not a directory");
+  }
+
+  if (checks.readable && !isAccessible(path, FS_CONSTANTS.R_OK)) {
+    throw new RuntimeError(this, "Path '" + path + "' is not readable");
+  }
+
+  if (checks.writable && !isAccessible(path, FS_CONSTANTS.W_OK)) {
+    throw new RuntimeError(this, "Path '" + path + "' is not writable");
+  }
+}
+
+
+// Get the real path of path, with symlinks resolved. Parts of the path
+// that does not exist are appended to the real path of the closest
+// existing parent.
+function realPath(path) {
+  var parent = dirname(path);
+
+  if (getStat(path)) {
+    return realpathSync(path);
+  }
+
+  if (parent == path) {
+    return path;
+  }
+
+  return join(realPath(parent), basename(path));
+}
+
+
+// Returns true if the current process has access to path
+function isAccessible(path, mode) {
+  try {
+    accessSync(path, mode);
+    return true;
+  } catch (accessError) {
+    return false;
+  }
+}
+
+
+// Create directory path, and any missing parent directories
+function makeDirectory(path) {
+  var parent = dirname(path);
+
+  if (getStat(path)) {
+    return;
+  }
+
+  if (parent != path) {
+    makeDirectory(parent);
+  }
+
+  mkdirSync(path);
 }
 
 function wildcardPattern(pattern) {
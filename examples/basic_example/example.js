@@ -1,5 +1,5 @@
 var createContext = require("../../conf").createContext;
-var createScript = require("../../conf").createScript;
+var loadFile = require("../../conf").loadFile;
 
 
 var context = createContext({
@@ -31,7 +31,7 @@ var context = createContext({
   
 });
 
-script = createScript("./example.conf");
+script = loadFile(__dirname + "/example.conf");
 
 try {
   config = script.runInContext(context, {DEBUG: true });  